@@ -5,6 +5,13 @@
  * @returns {void}
  */
 module.exports = (program) => {
+    // built-in bundlers are registered along the ones of the plugins, which have precedence.
+    // SVG files are bundled in a sprite when building a directory of icons or using the `--sprite` flag, otherwise they are copied.
+    program.bundler('.svg', require.resolve('../../lib/Bundlers/SvgSpriteBundler'), (input, output, options) => {
+        const { Directory } = require('../../lib/File');
+        return !!options.sprite || input instanceof Directory;
+    });
+
     program
         .command('build')
         .description('Build the project.')
@@ -17,16 +24,39 @@ module.exports = (program) => {
         .option('[--name]', 'For JavaScript builds, you can specify the name of the global variable to use for the bundle.')
         .option('[--format]', 'Specify the format of the JavaScript bundle. Available formats are `es`, `umd`, `iife` and `cjs`.')
         .option('[--bundle]', 'Should bundle dependencies along the source files.')
+        .option('[--external <module1,module2>]', 'Modules to exclude from the bundle.')
+        .option('[--globals <module:Global,...>]', 'Global variable names of external modules for UMD and IIFE bundles.')
+        .option('[--differential]', 'Build a module bundle for modern browsers along the UMD and IIFE bundles, with a loader script.')
+        .option('[--split]', 'Bundle multiple JavaScript files together, splitting shared code in chunks.')
+        .option('[--preserve-modules]', 'Bundle multiple JavaScript files together, writing a file for each module.')
+        .option('[--hash]', 'Add content hashes to output file names and write an `assets-manifest.json` file.')
         .option('[--production]', 'Prepare output for production env.')
+        .option('[--mode <name>]', 'The build mode, which selects the `env` section of the config and the `.env.<mode>` files to load (default `NODE_ENV`, `production` or `development`). The `production` mode implies `--production`.')
+        .option('[--no-minify]', 'Do not minify production builds. Use `--minify` to minify other builds.')
+        .option('[--no-optimize-images]', 'Do not recompress PNG and JPEG assets of production builds. Use `--optimize-images` to recompress them in other builds.')
+        .option('[--inline-limit <bytes>]', 'Inline assets smaller than the given size as data URIs.')
+        .option('[--define.<name> <value>]', 'Replace a compile-time constant with the given value.')
         .option('[--no-map]', 'Do not produce source map.')
         .option('[--no-lint]', 'Do not lint files before build.')
-        .option('[--no-cache]', 'Should not cache global dependencies for memory optimizations.')
+        .option('[--exports <validate|generate>]', 'Check the `exports` field of the package.json after the build, or generate it when missing.')
+        .option('[--fix-deps]', 'Add missing dependencies to the package.json and report unused ones.')
+        .option('[--cache <directory>]', 'The directory of the persistent build cache (default `node_modules/.cache/rna`).')
+        .option('[--no-cache]', 'Should not cache transformed modules.')
         .option('[--recursive]', 'Recursively build monorepo packages.')
+        .option('[--since <ref>]', 'Build only monorepo packages affected by Git changes since the given ref.')
+        .option('[--concurrency <number>]', 'Build monorepo packages in parallel processes, respecting their dependencies.')
+        .option('[--babelrc]', 'Merge the .babelrc files of the project with the built-in configuration.')
         .option('[--jsx.pragma]', 'The JSX pragma to use.')
         .option('[--jsx.pragmaFrag]', 'The JSX pragma fragment to use.')
         .option('[--jsx.module]', 'The module to auto import for JSX pragma.')
         .option('[--typings [file]', 'Generate typescript declarations.')
-        .option('[--analyze]', 'Print analytic report for script size.')
+        .option('[--sprite]', 'Bundle SVG files in a sprite of symbols. Directories of SVG icons are always bundled in a sprite.')
+        .option('[--sprite.module [file]]', 'For SVG sprite builds, write an ES module exporting the ids of the icons.')
+        .option('[--sprite.prefix <prefix>]', 'For SVG sprite builds, the prefix of the ids of the icons.')
+        .option('[--analyze [html]]', 'Print analytic report for script size, or write it as an HTML treemap.')
+        .option('[--json-report <file>]', 'Write the analysis of the scripts to a JSON report.')
+        .option('[--compare <file>]', 'Print size changes of outputs, packages and modules against a previous JSON report.')
+        .option('[--json]', 'Print NDJSON events instead of human readable logs.')
         .option('[--link] <package1,package2|pattern>', 'Symlinked dependencies to build along the main bundle.')
         .option('[--serve]', 'Should serve the output folder with livereload.')
         .option('[--port]', 'The server port.')
@@ -37,11 +67,20 @@ module.exports = (program) => {
         .action(async (app, options = {}) => {
             const path = require('path');
             const Targets = require('../../lib/Targets');
-            const { Project } = require('../../lib/File');
+            const Config = require('../../lib/Config');
+            const AnalysisReport = require('../../lib/AnalysisReport');
+            const Exports = require('../../lib/Exports');
+            const { Project, Directory } = require('../../lib/File');
 
             const cwd = process.cwd();
             const project = new Project(cwd);
             const workspaces = project.workspaces;
+            const env = Config.getEnv(options);
+
+            if (options.production == null && env === 'production') {
+                // the production mode (eg `--mode production`) enables the production build.
+                options.production = true;
+            }
 
             if (options.production && !Object.prototype.hasOwnProperty.call(process.env, 'NODE_ENV')) {
                 // Set NODE_ENV environment variable if `--production` flag is set.
@@ -84,6 +123,29 @@ module.exports = (program) => {
                 throw new Error('missing files to build');
             }
 
+            if (options.since && workspaces) {
+                // build only packages affected by changes.
+                const changed = project.getChangedWorkspaces(options.since);
+                entries = entries.filter((entry) => !(entry instanceof Project) || changed.some((ws) => ws.path === entry.path));
+                if (!entries.length) {
+                    app.logger.info(`no packages changed since ${options.since}`);
+                    return [];
+                }
+            } else if (options.since && !project.hasChangesSince(options.since)) {
+                app.logger.info(`no changes since ${options.since}`);
+                return [];
+            }
+
+            if (options.split || options['preserve-modules']) {
+                // group JavaScript files in a single code splitting build.
+                const { isJSFile } = require('../../lib/File');
+                const files = entries.filter((entry) => !(entry instanceof Project) && isJSFile(entry.path));
+                if (files.length > 1) {
+                    entries = entries.filter((entry) => files.indexOf(entry) === -1);
+                    entries.push(files);
+                }
+            }
+
             if (options.link) {
                 const linkedFilter = options.link.split(',').map((pattern) => new RegExp(pattern.replace(/\//, '\\/')));
                 const filterLinkedDependencies = (project, results = []) => {
@@ -106,8 +168,48 @@ module.exports = (program) => {
                 entries.unshift(...list);
             }
 
+            const concurrency = parseInt(options.concurrency) || 1;
+            if (concurrency > 1 && (options['json-report'] || options.compare)) {
+                app.logger.warn('analysis reports require a single process, ignoring --concurrency');
+            } else if (concurrency > 1 && !options.watch && !options.link && entries.length > 1 && entries.every((entry) => entry instanceof Project)) {
+                // build packages in parallel processes.
+                await buildWorkspaces(app, project, entries, concurrency, options.argv || options);
+                return [];
+            }
+
             const bundles = [];
 
+            // share transformed modules across all the builds of the run.
+            const cache = options.cache !== false ? {} : false;
+            // persist transformed modules between runs.
+            const cacheDirectory = options.cache !== false && (typeof options.cache === 'string' ?
+                project.directory(options.cache) :
+                (project.parent || project).directory('node_modules/.cache/rna'));
+            // collect imported packages of each project.
+            const importedDependencies = new Map();
+            // collect bundles analysis for JSON reports and comparisons.
+            const analysisReport = (options['json-report'] || options.compare) ? new AnalysisReport(project) : null;
+            const build = async (entryProject, input, output, buildOptions) => {
+                const bundler = await buildEntry(app, entryProject, input, output, Object.assign({}, buildOptions, {
+                    cache: buildOptions.cache !== false && cache,
+                    cacheDirectory: buildOptions.cache !== false && cacheDirectory,
+                    analysisReport,
+                }));
+                checkBudgets(bundler);
+                if (options['fix-deps'] && bundler && bundler.result && bundler.result.dependencies) {
+                    const imported = importedDependencies.get(entryProject) || {};
+                    importedDependencies.set(entryProject, imported);
+                    for (let name in bundler.result.dependencies) {
+                        const dependency = bundler.result.dependencies[name];
+                        imported[name] = imported[name] || Object.assign({}, dependency, { importers: [] });
+                        imported[name].importers.push(...dependency.importers.filter((importer) => !imported[name].importers.includes(importer)));
+                    }
+                }
+                if (analysisReport) {
+                    addToReport(analysisReport, bundler);
+                }
+                return bundler;
+            };
             // Process entries.
             for (let i = 0; i < entries.length; i++) {
                 let entry = entries[i];
@@ -116,65 +218,143 @@ module.exports = (program) => {
                     app.logger.heading(`\nbuilding project ${entry.get('name')}:`);
                     app.logger.newline();
 
+                    // merge workspace config with command line options.
+                    const projectOptions = entry.path === project.path ? options : entry.config.merge('build', options, env);
+
                     const libFile = entry.get('lib') && entry.file(entry.get('lib'));
                     const moduleFile = entry.get('module') && entry.file(entry.get('module'));
                     const mainFile = entry.get('main') && entry.file(entry.get('main'));
                     const browserFile = entry.get('browser') && entry.file(entry.get('browser'));
                     const styleFile = entry.get('style') && entry.file(entry.get('style'));
+                    // outputs declared by the `exports` field.
+                    const exportsEntries = (entry.get('exports') && !entry.linked) ? new Exports(entry).getEntries(libFile) : [];
 
                     let output;
-                    if (options.output) {
+                    if (projectOptions.output) {
                         if (outputRelative) {
-                            output = (libFile || moduleFile).parent.file(options.output);
-                        } else if (path.extname(options.output)) {
-                            output = project.file(options.output);
+                            output = (libFile || moduleFile).parent.file(projectOptions.output);
+                        } else if (path.extname(projectOptions.output)) {
+                            output = project.file(projectOptions.output);
                         } else if (mainFile) {
                             output = mainFile;
                         } else {
-                            output = project.directory(options.output);
+                            output = project.directory(projectOptions.output);
                         }
                     }
 
-                    if (libFile) {
+                    if (projectOptions.entries) {
+                        // build the list of entries of the project.
+                        const buildEntries = projectOptions.entries;
+                        if (!Array.isArray(buildEntries) || !buildEntries.length) {
+                            throw new Error(`invalid "entries" option for project ${entry.path}`);
+                        }
+                        for (let j = 0; j < buildEntries.length; j++) {
+                            const { input, output: entryOutput, ...entryOptions } = buildEntries[j];
+                            if (!input) {
+                                throw new Error(`missing "input" option for entry ${j} of project ${entry.path}`);
+                            }
+                            if (!entryOutput) {
+                                throw new Error(`missing "output" option for entry ${input} of project ${entry.path}`);
+                            }
+                            let inputFiles;
+                            if (typeof input === 'string' && input.includes('*')) {
+                                inputFiles = entry.resolve(input).filter((file) => !(file instanceof Directory));
+                                if (!inputFiles.length) {
+                                    throw new Error(`no files found for entry ${input} of project ${entry.path}`);
+                                }
+                            } else if (Array.isArray(input)) {
+                                inputFiles = input.map((file) => entry.file(file));
+                            } else if (typeof input === 'object') {
+                                inputFiles = Object.keys(input).reduce((map, name) => Object.assign(map, { [name]: entry.file(input[name]) }), {});
+                            } else if (entry.entry(input).exists() && entry.entry(input).isDirectory()) {
+                                // a directory of SVG icons.
+                                inputFiles = entry.directory(input);
+                            } else {
+                                inputFiles = entry.file(input);
+                            }
+                            const bundler = await build(
+                                entry,
+                                inputFiles,
+                                path.extname(entryOutput) ? entry.file(entryOutput) : entry.directory(entryOutput),
+                                Object.assign({}, projectOptions, entryOptions, {
+                                    targets: entryOptions.targets || projectOptions.targets || entry.browserslist,
+                                    typings: (entryOptions.typings || projectOptions.typings) === true,
+                                })
+                            );
+                            if (bundler && projectOptions.watch) {
+                                bundles.push(bundler);
+                            }
+                        }
+                    } else if (libFile || exportsEntries.some((exportsEntry) => exportsEntry.input)) {
                         let bundler;
-                        if (output && !entry.linked) {
-                            bundler = await buildEntry(app, entry, libFile, output, Object.assign({}, options, {
-                                targets: options.targets || entry.browserslist,
-                                typings: options.typings === true,
+                        if (output && libFile && !entry.linked) {
+                            bundler = await build(entry, libFile, output, Object.assign({}, projectOptions, {
+                                targets: projectOptions.targets || entry.browserslist,
+                                typings: projectOptions.typings === true,
                             }));
-                            if (bundler && options.watch) {
+                            if (bundler && projectOptions.watch) {
                                 bundles.push(bundler);
                             }
                         } else {
-                            if (moduleFile) {
-                                bundler = await buildEntry(app, entry, libFile, moduleFile, Object.assign({}, options, {
+                            const built = [];
+                            for (let j = 0; j < exportsEntries.length; j++) {
+                                const exportsEntry = exportsEntries[j];
+                                if (!exportsEntry.input) {
+                                    app.logger.warn(`missing "source" condition for export "${exportsEntry.subpath}" of project ${entry.get('name')}`);
+                                    continue;
+                                }
+                                const previousEntries = exportsEntries.slice(0, j);
+                                const inputKey = (input) => [].concat(input).map((file) => file.path).join(',');
+                                const linted = previousEntries.some((previous) => previous.input && inputKey(previous.input) === inputKey(exportsEntry.input));
+                                let typings = false;
+                                if (projectOptions.typings === true) {
+                                    // write the declarations of a subpath once, to its `types` target.
+                                    typings = exportsEntry.typings ?
+                                        !previousEntries.some((previous) => previous.typings && previous.typings.path === exportsEntry.typings.path) && exportsEntry.typings.path :
+                                        true;
+                                }
+                                bundler = await build(entry, exportsEntry.input, exportsEntry.output, Object.assign({}, projectOptions, {
+                                    targets: exportsEntry.format === 'esm' ?
+                                        Targets.fromFeatures('module', 'async').toQuery() :
+                                        (projectOptions.targets || entry.browserslist),
+                                    format: exportsEntry.format,
+                                    lint: !linted && projectOptions.lint,
+                                    typings,
+                                }, { 'preserve-modules': exportsEntry.preserveModules }));
+                                built.push(exportsEntry.output.path);
+                                if (bundler && projectOptions.watch) {
+                                    bundles.push(bundler);
+                                }
+                            }
+                            if (libFile && moduleFile && !built.includes(moduleFile.path)) {
+                                bundler = await build(entry, libFile, moduleFile, Object.assign({}, projectOptions, {
                                     targets: Targets.fromFeatures('module', 'async').toQuery(),
-                                    format: 'esm', lint: !mainFile && options.lint,
-                                    typings: options.typings === true,
+                                    format: 'esm', lint: !mainFile && projectOptions.lint,
+                                    typings: projectOptions.typings === true,
                                 }));
-                                if (bundler && options.watch) {
+                                if (bundler && projectOptions.watch) {
                                     bundles.push(bundler);
                                 }
                             }
                             if (!entry.linked || !moduleFile) {
-                                if (mainFile) {
-                                    bundler = await buildEntry(app, entry, libFile, mainFile, Object.assign({}, options, {
-                                        targets: options.targets || entry.browserslist, format: 'cjs',
-                                        typings: options.typings === true,
+                                if (libFile && mainFile && !built.includes(mainFile.path)) {
+                                    bundler = await build(entry, libFile, mainFile, Object.assign({}, projectOptions, {
+                                        targets: projectOptions.targets || entry.browserslist, format: 'cjs',
+                                        typings: projectOptions.typings === true,
                                     }));
-                                    if (bundler && options.watch) {
+                                    if (bundler && projectOptions.watch) {
                                         bundles.push(bundler);
                                     }
                                 }
                             }
                             if (!entry.linked || !(mainFile || moduleFile)) {
-                                if (browserFile) {
-                                    bundler = await buildEntry(app, entry, libFile, browserFile, Object.assign({}, options, {
-                                        targets: options.targets || entry.browserslist,
+                                if (libFile && browserFile && !built.includes(browserFile.path)) {
+                                    bundler = await build(entry, libFile, browserFile, Object.assign({}, projectOptions, {
+                                        targets: projectOptions.targets || entry.browserslist,
                                         format: 'umd',
-                                        typings: options.typings === true,
+                                        typings: projectOptions.typings === true,
                                     }));
-                                    if (bundler && options.watch) {
+                                    if (bundler && projectOptions.watch) {
                                         bundles.push(bundler);
                                     }
                                 }
@@ -187,14 +367,14 @@ module.exports = (program) => {
                                     (browserFile && `${browserFile.basename}.css`) ||
                                     `${project.scopeName}.css`,
                                 );
-                                bundler = await buildEntry(app, entry, styleFile, styleOutput, Object.assign({}, options, { targets: options.targets || entry.browserslist }));
-                                if (bundler && options.watch) {
+                                bundler = await build(entry, styleFile, styleOutput, Object.assign({}, projectOptions, { targets: projectOptions.targets || entry.browserslist }));
+                                if (bundler && projectOptions.watch) {
                                     bundles.push(bundler);
                                 }
                             }
-                            if (libFile.extname === '.html' && (entry.directories.public || entry.directories.lib)) {
-                                bundler = await buildEntry(app, entry, libFile, entry.directories.public || entry.directories.lib, Object.assign({}, options, { targets: options.targets || entry.browserslist }));
-                                if (bundler && options.watch) {
+                            if (libFile && libFile.extname === '.html' && (entry.directories.public || entry.directories.lib)) {
+                                bundler = await build(entry, libFile, entry.directories.public || entry.directories.lib, Object.assign({}, projectOptions, { targets: projectOptions.targets || entry.browserslist }));
+                                if (bundler && projectOptions.watch) {
                                     bundles.push(bundler);
                                 }
                             }
@@ -214,11 +394,11 @@ module.exports = (program) => {
 
                         if (moduleFile) {
                             const moduleOutput = mainFile ? mainFile : output;
-                            const bundler = await buildEntry(app, entry, moduleFile, moduleOutput, Object.assign({ bundle: true }, options, {
-                                targets: options.targets || entry.browserslist,
-                                typings: options.typings === true,
+                            const bundler = await build(entry, moduleFile, moduleOutput, Object.assign({ bundle: true }, projectOptions, {
+                                targets: projectOptions.targets || entry.browserslist,
+                                typings: projectOptions.typings === true,
                             }));
-                            if (bundler && options.watch) {
+                            if (bundler && projectOptions.watch) {
                                 // collect the generated Bundle.
                                 bundles.push(bundler);
                             }
@@ -229,10 +409,10 @@ module.exports = (program) => {
                                 mainFile.parent.file(`${mainFile.basename}.css`) :
                                 output;
 
-                            const bundler = await buildEntry(app, entry, styleFile, styleOutput, Object.assign({}, options, {
-                                targets: options.targets || entry.browserslist,
+                            const bundler = await build(entry, styleFile, styleOutput, Object.assign({}, projectOptions, {
+                                targets: projectOptions.targets || entry.browserslist,
                             }));
-                            if (bundler && options.watch) {
+                            if (bundler && projectOptions.watch) {
                                 // collect the generated Bundle.
                                 bundles.push(bundler);
                             }
@@ -240,10 +420,16 @@ module.exports = (program) => {
                     } else {
                         throw new Error('missing source file to build');
                     }
+
+                    if (projectOptions.exports) {
+                        checkExports(app, entry, projectOptions.exports);
+                    }
                 } else {
                     let output;
                     if (options.output) {
-                        if (outputRelative) {
+                        if (Array.isArray(entry)) {
+                            output = project.directory(options.output);
+                        } else if (outputRelative) {
                             output = entry.parent.file(options.output);
                         } else if (path.extname(options.output)) {
                             output = project.file(options.output);
@@ -254,7 +440,7 @@ module.exports = (program) => {
                         throw new Error('missing `output` option');
                     }
 
-                    let bundler = await buildEntry(app, project, entry, output, Object.assign({}, options, {
+                    let bundler = await build(project, entry, output, Object.assign({}, options, {
                         targets: options.targets || project.browserslist,
                         typings: options.typings === true,
                     }));
@@ -265,6 +451,25 @@ module.exports = (program) => {
                 }
             }
 
+            importedDependencies.forEach((imported, entryProject) => {
+                fixDependencies(app, entryProject, imported);
+            });
+
+            if (options.compare) {
+                // print size changes against the baseline report.
+                const baseline = AnalysisReport.load(project.file(options.compare));
+                const comparison = analysisReport.compare(baseline);
+                app.logger.event('comparison', comparison);
+                app.logger.heading(`\nsize changes since ${options.compare}:`);
+                app.logger.log(AnalysisReport.formatComparison(comparison));
+            }
+
+            if (options['json-report']) {
+                const reportFile = project.file(options['json-report']);
+                analysisReport.write(reportFile);
+                app.logger.info('analysis report written', project.relative(reportFile));
+            }
+
             // once bundles are generated, check for watch option.
             if (options.watch) {
                 const statuses = new WeakMap();
@@ -290,6 +495,7 @@ module.exports = (program) => {
                             try {
                                 await bundle.build(...invalidate);
                                 await bundle.write();
+                                checkBudgets(bundle);
                             } catch (err) {
                                 if (err) {
                                     app.logger.error(err);
@@ -343,6 +549,97 @@ module.exports = (program) => {
         });
 };
 
+/**
+ * Build a list of packages in child processes.
+ * A package is built only after all of its workspace dependencies in the list.
+ *
+ * @param {CLI} app The CLI instance.
+ * @param {Project} project The monorepo project.
+ * @param {Array<Project>} packages The packages to build.
+ * @param {number} concurrency The max number of parallel processes.
+ * @param {Object} options The command line options.
+ * @return {Promise<void>}
+ */
+async function buildWorkspaces(app, project, packages, concurrency, options) {
+    const { spawn } = require('child_process');
+    const path = require('path');
+    const stringify = require('../../lib/Cli/stringify');
+
+    const bin = path.resolve(__dirname, '../../index.js');
+    const argv = stringify(options, ['recursive', 'concurrency', 'since', 'json']);
+    const names = packages.map((pkg) => pkg.get('name'));
+    const depsMap = project.workspacesDepsMap || {};
+    const pending = packages.slice(0);
+    const running = new Map();
+    const completed = [];
+    let failed;
+
+    const buildPackage = (pkg) => new Promise((resolve) => {
+        const name = pkg.get('name');
+        const env = Object.assign({}, process.env);
+        if (app.logger.isTTY) {
+            env.FORCE_COLOR = '1';
+        }
+        const child = spawn(process.execPath, [bin, 'build', name, ...argv, ...(app.logger.json ? ['--json'] : [])], {
+            cwd: project.path,
+            env,
+        });
+        let output = '';
+        child.stdout.on('data', (chunk) => {
+            output += chunk;
+        });
+        child.stderr.on('data', (chunk) => {
+            output += chunk;
+        });
+        child.on('close', (code) => {
+            resolve({ name, code, output });
+        });
+    });
+
+    app.logger.heading(`\nbuilding ${packages.length} packages with concurrency ${concurrency}`);
+    app.logger.newline();
+
+    while (pending.length || running.size) {
+        if (!failed) {
+            for (let i = 0; i < pending.length && running.size < concurrency; i++) {
+                const pkg = pending[i];
+                const deps = (depsMap[pkg.get('name')] || []).filter((dep) => names.includes(dep));
+                if (deps.every((dep) => completed.includes(dep))) {
+                    pending.splice(i--, 1);
+                    app.logger.info(`started ${pkg.get('name')}`);
+                    running.set(pkg.get('name'), buildPackage(pkg));
+                }
+            }
+            if (!running.size) {
+                throw new Error(`unable to resolve the build order of ${pending.map((pkg) => pkg.get('name')).join(', ')}`);
+            }
+        } else if (!running.size) {
+            break;
+        }
+
+        const { name, code, output } = await Promise.race(running.values());
+        running.delete(name);
+        if (app.logger.json) {
+            // forward events of the child process.
+            process.stdout.write(output);
+        } else {
+            app.logger.log(output.trim());
+        }
+        if (code) {
+            app.logger.error(`failed ${name}`);
+            failed = failed || name;
+        } else {
+            app.logger.success(`built ${name}`);
+            completed.push(name);
+        }
+        app.logger.newline();
+    }
+
+    if (failed) {
+        throw new Error(`failed to build package ${failed}`);
+    }
+}
+
 function filterChangedBundles(bundles, files) {
     const { realpathSync } = require('fs');
     files = files.map((file) => realpathSync(file.path));
@@ -355,6 +652,333 @@ function filterChangedBundles(bundles, files) {
         });
 }
 
+/**
+ * Add imported packages which are missing in the package.json of a project, and report unused dependencies.
+ * Packages imported by test files only are added to the `devDependencies`.
+ *
+ * @param {CLI} app The CLI instance.
+ * @param {Project} project The project to update.
+ * @param {Object<string, Object>} imported The packages imported by the project sources.
+ * @return {void}
+ */
+function fixDependencies(app, project, imported) {
+    const testDir = project.directories.test;
+    const isTestFile = (fileName) => {
+        if (testDir && project.file(fileName).path.indexOf(`${testDir.path}/`) === 0) {
+            return true;
+        }
+        return /(^|\/)(test|tests|__tests__)\//.test(fileName) || /\.(spec|test)\.[jt]sx?$/.test(fileName);
+    };
+    const dependencies = Object.assign({}, project.get('dependencies'));
+    const devDependencies = Object.assign({}, project.get('devDependencies'));
+    const declared = [
+        ...Object.keys(dependencies),
+        ...Object.keys(devDependencies),
+        ...Object.keys(project.get('peerDependencies') || {}),
+    ];
+
+    const added = [];
+    Object.values(imported)
+        .filter((dependency) => !declared.includes(dependency.name))
+        .forEach((dependency) => {
+            if (!dependency.version) {
+                app.logger.warn(`unable to find installed version of '${dependency.name}' for ${project.get('name')}`);
+                return;
+            }
+            const dev = dependency.importers.every(isTestFile);
+            const list = dev ? devDependencies : dependencies;
+            list[dependency.name] = `^${dependency.version}`;
+            added.push(dependency);
+            app.logger.info(`added '${dependency.name}@^${dependency.version}' to ${dev ? 'devDependencies' : 'dependencies'} of ${project.get('name')}`, `imported by ${dependency.importers.join(', ')}`);
+            app.logger.event('dependency', {
+                project: project.get('name'),
+                name: dependency.name,
+                version: `^${dependency.version}`,
+                dev,
+                importers: dependency.importers,
+            });
+        });
+
+    if (added.length) {
+        const sort = (list) => Object.keys(list).sort().reduce((map, name) => Object.assign(map, { [name]: list[name] }), {});
+        if (Object.keys(dependencies).length) {
+            project.set('dependencies', sort(dependencies));
+        }
+        if (Object.keys(devDependencies).length) {
+            project.set('devDependencies', sort(devDependencies));
+        }
+        project.save();
+    }
+
+    const unused = Object.keys(project.get('dependencies') || {})
+        .filter((name) => !imported[name]);
+    if (unused.length) {
+        app.logger.warn(`dependencies never imported by the scripts of ${project.get('name')}: ${unused.join(', ')}`);
+        app.logger.event('unused-dependencies', {
+            project: project.get('name'),
+            names: unused,
+        });
+    }
+}
+
+/**
+ * Generate or validate the `exports` field of a built project.
+ *
+ * @param {CLI} app The CLI instance.
+ * @param {Project} project The built project.
+ * @param {string|boolean} mode `generate` writes the field when missing, `validate` (or `true`) only checks it.
+ * @return {void}
+ */
+function checkExports(app, project, mode) {
+    const Exports = require('../../lib/Exports');
+    if (mode === true) {
+        mode = 'validate';
+    }
+    if (!['generate', 'validate'].includes(mode)) {
+        throw new Error(`invalid "exports" option "${mode}": "generate" or "validate" is expected`);
+    }
+    let map = project.get('exports');
+    const generate = mode === 'generate' && !map;
+    if (generate) {
+        map = Exports.generate(project);
+        if (!map) {
+            app.logger.warn(`missing "main" or "module" field to generate the "exports" field of ${project.get('name')}`);
+            return;
+        }
+    }
+    // generated fields are saved only when valid.
+    const problems = new Exports(project, map).validate();
+    app.logger.event('exports', {
+        project: project.get('name'),
+        problems,
+    });
+    if (!problems.length) {
+        if (generate) {
+            project.set('exports', map);
+            project.save();
+            app.logger.info(`added "exports" field to ${project.get('name')}`);
+        }
+        app.logger.success('"exports" field is valid');
+        return;
+    }
+    problems.forEach((problem) => {
+        app.logger.error(problem);
+    });
+    throw new Error(`${problems.length} problem${problems.length > 1 ? 's' : ''} found in the ${generate ? 'generated ' : ''}"exports" field of ${project.get('name')}`);
+}
+
+/**
+ * A map of bundlers and their last written files and analysis.
+ * @type {WeakMap<Bundler, Object>}
+ */
+const RESULTS = new WeakMap();
+
+/**
+ * A map of bundlers and their size budgets checks.
+ * @type {WeakMap<Bundler, Function>}
+ */
+const BUDGETS = new WeakMap();
+
+/**
+ * Collect the written files and the analysis of the last build of a bundler.
+ *
+ * @param {Bundler} bundler The bundler to track.
+ * @return {{ files: Array<File>, analyses: Array<Object> }}
+ */
+function collectResults(bundler) {
+    const Bundler = require('../../lib/Bundlers/Bundler');
+    if (RESULTS.has(bundler)) {
+        return RESULTS.get(bundler);
+    }
+    const results = {
+        files: [],
+        analyses: [],
+    };
+    bundler.on(Bundler.BUILD_START, (input, code, child) => {
+        if (!child) {
+            results.analyses = [];
+        }
+    });
+    bundler.on(Bundler.ANALYSIS_EVENT, (result) => {
+        results.analyses.push(result);
+    });
+    bundler.on(Bundler.WRITE_START, (child) => {
+        if (!child) {
+            results.files = [];
+        }
+    });
+    bundler.on(Bundler.WRITE_PROGRESS, (file) => {
+        if (file) {
+            results.files.push(file);
+        }
+    });
+    RESULTS.set(bundler, results);
+    return results;
+}
+
+/**
+ * Collect written files and analysis of a bundler in order to check them against the size budgets.
+ *
+ * @param {CLI} app The CLI instance.
+ * @param {Project} project The project of the build.
+ * @param {Bundler} bundler The bundler to check.
+ * @param {Array<Object>} budgets The list of budgets.
+ * @return {Budgets|null}
+ */
+function trackBudgets(app, project, bundler, budgets) {
+    const Budgets = require('../../lib/Budgets');
+    if (!budgets) {
+        return null;
+    }
+    const checker = new Budgets(project, budgets);
+    const collected = collectResults(bundler);
+    BUDGETS.set(bundler, () => {
+        const results = checker.check(collected.files, collected.analyses);
+        if (!results.length) {
+            return;
+        }
+        app.logger.event('budgets', {
+            project: project.get('name'),
+            results,
+        });
+        const exceeded = results.filter((result) => result.exceeded);
+        if (!exceeded.length) {
+            app.logger.success('size budgets respected');
+            return;
+        }
+        app.logger.log(Budgets.format(results));
+        throw new Error(`${exceeded.length} size budget${exceeded.length > 1 ? 's' : ''} exceeded for project ${project.get('name')}`);
+    });
+    return checker;
+}
+
+/**
+ * Check the last written files of a bundler against the size budgets.
+ * @param {Bundler} bundler The bundler to check.
+ * @return {void}
+ */
+function checkBudgets(bundler) {
+    const check = bundler && BUDGETS.get(bundler);
+    if (check) {
+        check();
+    }
+}
+
+/**
+ * Add the last analysis of a bundler to a report.
+ * @param {AnalysisReport} report The report to update.
+ * @param {Bundler} bundler The analyzed bundler.
+ * @return {void}
+ */
+function addToReport(report, bundler) {
+    const results = bundler && RESULTS.get(bundler);
+    if (!results || !results.analyses.length) {
+        return;
+    }
+    const { root, output } = bundler.options;
+    results.analyses.forEach((analysis) => {
+        report.add(root, output, analysis, results.files);
+    });
+}
+
+/**
+ * Print bundler events with the JSON reporter.
+ *
+ * @param {CLI} app The CLI instance.
+ * @param {Project} project The project of the build.
+ * @param {Bundler} bundler The bundler to report.
+ * @return {void}
+ */
+function reportBundler(app, project, bundler) {
+    const Bundler = require('../../lib/Bundlers/Bundler');
+    if (!app.logger.json) {
+        return;
+    }
+    const started = {};
+    bundler.on(Bundler.BUILD_START, (input, code, child) => {
+        const type = bundlerToType(child || bundler);
+        started[type] = Date.now();
+        app.logger.event('build:start', {
+            project: project.get('name'),
+            bundler: type,
+            input: code ? null : project.relative(input),
+        });
+    });
+    bundler.on(Bundler.BUILD_END, (input, code, child) => {
+        const type = bundlerToType(child || bundler);
+        app.logger.event('build:end', {
+            project: project.get('name'),
+            bundler: type,
+            input: code ? null : project.relative(input),
+            duration: Date.now() - (started[type] || Date.now()),
+        });
+    });
+    bundler.on(Bundler.WRITE_PROGRESS, (file) => {
+        if (!file) {
+            return;
+        }
+        const { size, zipped } = file.size;
+        app.logger.event('write', {
+            project: project.get('name'),
+            file: project.relative(file),
+            size: Number(size),
+            zipped: Number(zipped),
+        });
+    });
+    bundler.on(Bundler.LINT_EVENT, (result) => {
+        app.logger.event('lint', {
+            project: project.get('name'),
+            errorCount: result.errorCount,
+            warningCount: result.warningCount,
+            results: result.results,
+        });
+    });
+    bundler.on(Bundler.ANALYSIS_EVENT, (result) => {
+        app.logger.event('analysis', {
+            project: project.get('name'),
+            analysis: result,
+        });
+    });
+}
+
+/**
+ * Check if a build can be split in module and legacy bundles.
+ * Only scripts with an output file and a non-module format (`umd` or `iife`) are supported.
+ * @param {File|Array<File>|Object<string, File>} input The input of the build.
+ * @param {File|Directory} output The output of the build.
+ * @param {string} [format] The format of the build.
+ * @return {boolean}
+ */
+function isDifferentialBuild(input, output, format) {
+    const { isJSFile } = require('../../lib/File');
+    if (!input || !input.path || !isJSFile(input.path) || !output || !output.extname) {
+        return false;
+    }
+    return !format || ['umd', 'iife'].includes(format);
+}
+
+/**
+ * Collect compile-time constants from the `define` option and `--define.<name>` flags.
+ * Command line values are parsed as JSON when possible, otherwise they are used as strings.
+ * @param {Object} options The build options.
+ * @return {Object<string, *>}
+ */
+function getDefinitions(options) {
+    const definitions = Object.assign({}, options.define);
+    Object.keys(options)
+        .filter((key) => key.indexOf('define.') === 0)
+        .forEach((key) => {
+            let value = options[key];
+            try {
+                value = JSON.parse(value);
+            } catch (err) {
+                // not a JSON value, use the string.
+            }
+            definitions[key.replace('define.', '')] = value;
+        });
+    return definitions;
+}
+
 function bundlerToType(bundler) {
     switch (bundler.name) {
         case 'ScriptBundler':
@@ -370,7 +994,11 @@ function bundlerToType(bundler) {
         case 'CopyBundler':
             return 'asset';
     }
-    return '';
+    // bundlers of the registry, built-in or added by plugins (eg `SvgSpriteBundler` -> `svg-sprite`).
+    return bundler.name
+        .replace(/Bundler$/, '')
+        .replace(/([a-z\d])([A-Z])/g, '$1-$2')
+        .toLowerCase();
 }
 
 function formatTime(millis) {
@@ -383,7 +1011,7 @@ function formatTime(millis) {
 }
 
 async function buildEntry(app, project, entry, output, options) {
-    const { isJSFile, isStyleFile, isHTMLFile, isWebManifestFile } = require('../../lib/File');
+    const { Entry, File, isJSFile, isStyleFile, isHTMLFile, isWebManifestFile } = require('../../lib/File');
     const Linter = require('../../lib/Linters/Linter');
 
     function logFile(output) {
@@ -393,10 +1021,78 @@ async function buildEntry(app, project, entry, output, options) {
         }
     }
 
-    if (isJSFile(entry.path)) {
+    function formatInput(input) {
+        return (input instanceof Entry) ? project.relative(input) : '';
+    }
+
+    // registered bundlers are selected by the extension of the input file,
+    // or by the extension of the output file when building a directory or a list of files.
+    const registryFile = (entry instanceof File) ? entry : output;
+    const RegisteredBundler = registryFile && app.getBundler(registryFile.path, entry, output, options);
+    if (RegisteredBundler) {
+        let bundler = new RegisteredBundler();
+        reportBundler(app, project, bundler);
+        trackBudgets(app, project, bundler, options.budgets);
+        let buildStarted = false;
+        bundler.on(RegisteredBundler.BUILD_START, (input, code, child) => {
+            if (!child) {
+                app.logger.play(`generating ${bundlerToType(bundler)}`, code ? 'inline' : formatInput(input));
+                buildStarted = Date.now();
+            } else {
+                app.logger.play(`generating ${bundlerToType(bundler)} > ${bundlerToType(child)}`, code ? 'inline' : formatInput(input));
+            }
+        });
+        bundler.on(RegisteredBundler.BUILD_END, (input, code, child) => {
+            app.logger.stop();
+            if (!child) {
+                app.logger.success(`${bundlerToType(bundler)} ready`, formatTime(Date.now() - buildStarted));
+            } else if (buildStarted) {
+                app.logger.play(`generating ${bundlerToType(bundler)}`, !code ? formatInput(input) : '');
+            }
+        });
+        bundler.on(RegisteredBundler.WARN_EVENT, (message) => {
+            app.logger.warn(message);
+        });
+        bundler.on(RegisteredBundler.ERROR_EVENT, () => {
+            app.logger.stop();
+        });
+        bundler.on(RegisteredBundler.WRITE_START, () => {
+            app.logger.play(`writing ${bundlerToType(bundler)}`);
+        });
+        bundler.on(RegisteredBundler.WRITE_PROGRESS, (file) => {
+            logFile(file);
+        });
+        bundler.on(RegisteredBundler.WRITE_END, () => {
+            app.logger.stop();
+            app.logger.newline();
+        });
+        // registered bundlers receive all the options of the command.
+        await bundler.setup(Object.assign({}, options, {
+            input: entry,
+            output,
+            root: project,
+        }));
+        await bundler.build();
+        await bundler.write();
+        // collect the generated Bundle
+        return bundler;
+    }
+
+    if (!(entry instanceof Entry)) {
+        // multiple inputs for a code splitting build.
+        const files = Object.values(entry);
+        if (!files.every((file) => isJSFile(file.path))) {
+            throw new Error('code splitting is supported for JavaScript files only');
+        }
+    }
+
+    if (!(entry instanceof Entry) || isJSFile(entry.path)) {
         const ScriptBundler = require('../../lib/Bundlers/ScriptBundler');
         // Javascript file
         let bundler = new ScriptBundler();
+        reportBundler(app, project, bundler);
+        const budgets = trackBudgets(app, project, bundler, options.budgets);
+        collectResults(bundler);
         let analysis;
         let buildStarted = false;
         bundler.on(ScriptBundler.BUILD_START, (input, code, child) => {
@@ -419,7 +1115,7 @@ async function buildEntry(app, project, entry, output, options) {
             if (bundler.linter.hasWarnings() || bundler.linter.hasErrors()) {
                 app.logger.log(Linter.format(bundler.linter.result));
             }
-            if (analysis) {
+            if (analysis && options.analyze && options.analyze !== 'html') {
                 app.logger.log(ScriptBundler.formatBundleAnalysis(analysis));
             }
         });
@@ -443,6 +1139,15 @@ async function buildEntry(app, project, entry, output, options) {
             logFile(file);
         });
         bundler.on(ScriptBundler.WRITE_END, (child) => {
+            if (!child && analysis && options.analyze === 'html') {
+                // write the treemap next to the output.
+                const analysisFile = output.extname ?
+                    output.parent.file(`${output.basename}.analysis.html`) :
+                    output.file('analysis.html');
+                analysisFile.write(ScriptBundler.formatBundleAnalysisHTML(analysis, project.relative(output)));
+                app.logger.stop();
+                logFile(analysisFile);
+            }
             app.logger.stop();
             if (child) {
                 app.logger.play(`writing ${bundlerToType(bundler)}`);
@@ -457,11 +1162,27 @@ async function buildEntry(app, project, entry, output, options) {
             name: options.name,
             targets: options.targets,
             bundle: options.bundle,
+            differential: !!options.differential && isDifferentialBuild(entry, output, options.format),
+            external: options.external,
+            globals: options.globals,
+            alias: options.alias,
+            mode: options.mode,
+            define: getDefinitions(options),
+            rollup: options.rollup,
+            babel: options.babel,
+            babelrc: options.babelrc,
+            postcss: options.postcss,
             production: options.production,
+            minify: options.minify,
+            optimizeImages: options['optimize-images'],
+            inlineLimit: options['inline-limit'],
             map: options.map,
             lint: options.lint !== false,
-            cache: options.cache !== false,
-            analyze: options.analyze,
+            hash: options.hash,
+            preserveModules: options['preserve-modules'],
+            cache: options.cache !== false && (options.cache || true),
+            cacheDirectory: options.cacheDirectory,
+            analyze: options.analyze || !!options.analysisReport || !!(budgets && budgets.hasModules),
             typings: options.typings,
             jsx: options.jsx != false ? {
                 module: options['jsx.module'],
@@ -479,6 +1200,8 @@ async function buildEntry(app, project, entry, output, options) {
         const StyleBundler = require('../../lib/Bundlers/StyleBundler');
         // Style file
         let bundler = new StyleBundler();
+        reportBundler(app, project, bundler);
+        trackBudgets(app, project, bundler, options.budgets);
         let buildStarted = false;
         bundler.on(StyleBundler.BUILD_START, (input, code, child) => {
             if (!child) {
@@ -530,8 +1253,14 @@ async function buildEntry(app, project, entry, output, options) {
             output,
             targets: options.targets,
             production: options.production,
+            minify: options.minify,
+            optimizeImages: options['optimize-images'],
+            inlineLimit: options['inline-limit'],
             map: options.map,
             lint: options.lint !== false,
+            hash: options.hash,
+            alias: options.alias,
+            postcss: options.postcss,
         });
         await bundler.build();
         await bundler.write();
@@ -540,6 +1269,8 @@ async function buildEntry(app, project, entry, output, options) {
     } else if (isHTMLFile(entry.path)) {
         const HTMLBundler = require('../../lib/Bundlers/HTMLBundler');
         let bundler = new HTMLBundler();
+        reportBundler(app, project, bundler);
+        trackBudgets(app, project, bundler, options.budgets);
         let buildStarted = false;
         bundler.on(HTMLBundler.BUILD_START, (input, code, child) => {
             if (!child) {
@@ -593,9 +1324,20 @@ async function buildEntry(app, project, entry, output, options) {
             description: project.get('description'),
             targets: options.targets,
             production: options.production,
+            minify: options.minify,
+            optimizeImages: options['optimize-images'],
+            inlineLimit: options['inline-limit'],
             format: options.format,
             map: options.map,
             lint: options.lint !== false,
+            hash: options.hash,
+            alias: options.alias,
+            mode: options.mode,
+            define: getDefinitions(options),
+            rollup: options.rollup,
+            babel: options.babel,
+            babelrc: options.babelrc,
+            postcss: options.postcss,
             base: Object.prototype.hasOwnProperty.call(options, 'base') ? options.base : undefined,
             icon: Object.prototype.hasOwnProperty.call(options, 'icon') ? options.icon : undefined,
             scripts: Object.prototype.hasOwnProperty.call(options, 'scripts') ? options.scripts : undefined,
@@ -615,6 +1357,8 @@ async function buildEntry(app, project, entry, output, options) {
     } else if (isWebManifestFile(entry.path)) {
         const WebManifestBundler = require('../../lib/Bundlers/WebManifestBundler');
         let bundler = new WebManifestBundler();
+        reportBundler(app, project, bundler);
+        trackBudgets(app, project, bundler, options.budgets);
         let buildStarted = false;
         bundler.on(WebManifestBundler.BUILD_START, (input, code, child) => {
             if (!child) {
@@ -663,5 +1407,34 @@ async function buildEntry(app, project, entry, output, options) {
         await bundler.write();
         // collect the generated Bundle
         return bundler;
+    } else if (entry instanceof File && output) {
+        const CopyBundler = require('../../lib/Bundlers/CopyBundler');
+        // other files (eg a single SVG image) are copied.
+        let bundler = new CopyBundler();
+        reportBundler(app, project, bundler);
+        trackBudgets(app, project, bundler, options.budgets);
+        bundler.on(CopyBundler.ERROR_EVENT, () => {
+            app.logger.stop();
+        });
+        bundler.on(CopyBundler.WRITE_START, () => {
+            app.logger.play(`writing ${bundlerToType(bundler)}`);
+        });
+        bundler.on(CopyBundler.WRITE_PROGRESS, (file) => {
+            logFile(file);
+        });
+        bundler.on(CopyBundler.WRITE_END, () => {
+            app.logger.stop();
+            app.logger.newline();
+        });
+        await bundler.setup({
+            input: entry,
+            output: output.extname ? output : output.file(entry.name),
+            root: project,
+            hash: options.hash,
+        });
+        await bundler.build();
+        await bundler.write();
+        // collect the generated Bundle
+        return bundler;
     }
 }
@@ -12,6 +12,8 @@ module.exports = (program) => {
         .option('<file|package>', 'The packages or the files to lint.')
         .option('[--fix]', 'Should autofix warnings.')
         .option('[--watch]', 'Watch files and re-lint on changes.')
+        .option('[--since <ref>]', 'Lint only monorepo packages affected by Git changes since the given ref.')
+        .option('[--json]', 'Print NDJSON events instead of human readable logs.')
         .action(async function lint(app, options) {
             const { isJSFile, isStyleFile, Project } = require('../../lib/File');
 
@@ -22,7 +24,18 @@ module.exports = (program) => {
             if (options.arguments.length) {
                 entries = project.resolve(options.arguments);
             } else {
-                const workspaces = project.workspaces;
+                let workspaces = project.workspaces;
+                if (workspaces && options.since) {
+                    // lint only packages affected by changes.
+                    workspaces = project.getChangedWorkspaces(options.since);
+                    if (!workspaces.length) {
+                        app.logger.info(`no packages changed since ${options.since}`);
+                        return;
+                    }
+                } else if (options.since && !project.hasChangesSince(options.since)) {
+                    app.logger.info(`no changes since ${options.since}`);
+                    return;
+                }
                 if (workspaces) {
                     workspaces.forEach((ws) => {
                         let srcDirectory = ws.directories.src;
@@ -119,6 +132,12 @@ async function eslint(app, project, options, files) {
         const linter = new ESLint();
         await linter.setup(project, options);
         const report = await linter.lint(files);
+        app.logger.event('lint', {
+            linter: 'eslint',
+            errorCount: report.errorCount,
+            warningCount: report.warningCount,
+            results: report.results,
+        });
         if (report.errorCount || report.warningCount) {
             app.logger.log(ESLint.format(linter.result));
         }
@@ -148,6 +167,12 @@ async function stylelint(app, project, options, files) {
         const linter = new Stylelint();
         await linter.setup(project, options);
         const report = await linter.lint(files);
+        app.logger.event('lint', {
+            linter: 'stylelint',
+            errorCount: report.errorCount,
+            warningCount: report.warningCount,
+            results: report.results,
+        });
         if (report.errorCount || report.warningCount) {
             app.logger.log(Stylelint.format(linter.result));
         }
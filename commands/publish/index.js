@@ -18,6 +18,7 @@ module.exports = (program) => {
         .option('[--rc]', 'Deploy a rc version of the package(s).')
         .option('[--no-git]', 'Do not commit version changes to Git.')
         .option('[--no-npm]', 'Do not commit version changes to NPM.')
+        .option('[--json]', 'Print NDJSON events instead of human readable logs.')
         .action(async (app, options) => {
             const { Project } = require('../../lib/File');
             const cwd = process.cwd();
@@ -42,6 +43,23 @@ module.exports = (program) => {
                 version = 'major';
             }
 
-            return await project.publish(version, options.git !== false, options.npm !== false);
+            const result = await project.publish(version, options.git !== false, options.npm !== false);
+
+            if (app.logger.json) {
+                // reload package files in order to read bumped versions.
+                const published = new Project(cwd);
+                (published.workspaces || [published])
+                    .filter((pkg) => !pkg.get('private'))
+                    .forEach((pkg) => {
+                        app.logger.event('publish', {
+                            name: pkg.get('name'),
+                            version: pkg.get('version'),
+                            npm: options.npm !== false,
+                            git: options.git !== false,
+                        });
+                    });
+            }
+
+            return result;
         });
 };
@@ -22,6 +22,8 @@ module.exports = (program) => {
         .option('[--run]', 'Skip tests build.')
         .option('[--timeout <number>]', 'Set the tests timeout.')
         .option('[--watch]', 'Watch test files.')
+        .option('[--since <ref>]', 'Test only monorepo packages affected by Git changes since the given ref.')
+        .option('[--json]', 'Print NDJSON events instead of human readable logs.')
         .action(async (app, options = {}) => {
             const { Project } = require('../../lib/File');
 
@@ -76,6 +78,13 @@ module.exports = (program) => {
             // Load list of files to be tested.
             let files = [];
 
+            // packages affected by changes.
+            const changed = options.since && project.workspaces && project.getChangedWorkspaces(options.since);
+            if (options.since && !project.workspaces && !project.hasChangesSince(options.since)) {
+                app.logger.info(`no changes since ${options.since}`);
+                return;
+            }
+
             if (options.arguments.length) {
                 files = project.resolve(options.arguments)
                     .reduce((list, file) => {
@@ -83,6 +92,9 @@ module.exports = (program) => {
                             list.push(file);
                             return list;
                         }
+                        if (changed && !changed.some((ws) => ws.path === file.path)) {
+                            return list;
+                        }
                         let testDir = file.directories.test;
                         if (!testDir) {
                             testDir = file.directory('test');
@@ -94,7 +106,7 @@ module.exports = (program) => {
                     }, []);
             } else {
                 let testDirs = [];
-                let workspaces = project.workspaces;
+                let workspaces = changed || project.workspaces;
                 if (workspaces) {
                     workspaces.forEach((entry) => {
                         let testDir = entry.directories.test;
@@ -124,7 +136,12 @@ module.exports = (program) => {
                 return;
             }
 
-            let taskEnvironments = [options.node && 'node', options.browser && 'browser', options.saucelabs && 'saucelabs'].filter(Boolean);
+            let taskEnvironments = [
+                options.node && 'node',
+                options.browser && 'browser',
+                options.saucelabs && 'saucelabs',
+                ...Object.keys(app.runners).filter((name) => options[name]),
+            ].filter(Boolean);
             if (!taskEnvironments.length) {
                 // If test environment is not provide, use `browser` as default.
                 taskEnvironments.push('node', 'browser');
@@ -197,10 +214,15 @@ async function startRunners(app, runners, files, prepare = true, run = true) {
             await runner.build(files);
         }
         if (run) {
-            const { exitCode, coverage } = await runner.run(run);
+            const { exitCode, coverage, failed } = await runner.run(run);
             if (coverage) {
                 coverageMap.merge(coverage);
             }
+            app.logger.event('test:end', {
+                runner: runner.name,
+                exitCode,
+                failed,
+            });
             if (exitCode !== 0) {
                 finalExitCode = exitCode;
             }
@@ -215,6 +237,9 @@ async function startRunners(app, runners, files, prepare = true, run = true) {
                 summary.data.statements.pct !== 'Unknown' ||
                 summary.data.functions.pct !== 'Unknown' ||
                 summary.data.branches.pct !== 'Unknown')) {
+            app.logger.event('coverage', {
+                summary: summary.toJSON(),
+            });
             printCoverageReport(app, summary);
         }
     }
@@ -233,46 +258,43 @@ async function startRunners(app, runners, files, prepare = true, run = true) {
  */
 async function runTests(app, project, files, options, environments = []) {
     let runners = [];
+    // the JSON reporter replaces mocha and karma logs.
+    const runnerOptions = Object.assign({}, options, { silent: app.logger.json });
     // Test built sources.
     for (let i = 0; i < environments.length; i++) {
         let taskEnvName = environments[i];
 
+        let Runner;
         if (taskEnvName === 'node') {
             // Startup Mocha.
-            const NodeTestRunner = require('../../lib/TestRunners/NodeTestRunner');
-            const runner = new NodeTestRunner();
-            runners.push(runner);
-            await runner.setup(options);
-            runner.on(NodeTestRunner.PREPARE_START_EVENT, () => {
-                app.logger.play('generating test...');
-            });
-            runner.on(NodeTestRunner.PREPARE_END_EVENT, () => {
-                app.logger.stop();
-                if (options.prepare) {
-                    app.logger.success(`${runner.name} ready`);
-                }
-            });
-            runner.on(NodeTestRunner.STOP_EVENT, () => {
-                app.logger.stop();
-            });
+            Runner = require('../../lib/TestRunners/NodeTestRunner');
         } else if (taskEnvName === 'browser' || taskEnvName === 'saucelabs') {
-            const BrowserTestRunner = require('../../lib/TestRunners/BrowserTestRunner');
-            const runner = new BrowserTestRunner();
-            runners.push(runner);
-            await runner.setup(options);
-            runner.on(BrowserTestRunner.PREPARE_START_EVENT, () => {
-                app.logger.play('generating test...');
-            });
-            runner.on(BrowserTestRunner.PREPARE_END_EVENT, () => {
-                app.logger.stop();
-                if (options.prepare) {
-                    app.logger.success(`${runner.name} ready`);
-                }
-            });
-            runner.on(BrowserTestRunner.STOP_EVENT, () => {
-                app.logger.stop();
-            });
+            Runner = require('../../lib/TestRunners/BrowserTestRunner');
+        } else if (app.runners[taskEnvName]) {
+            // a runner registered by a plugin.
+            Runner = app.runners[taskEnvName];
+        } else {
+            continue;
         }
+
+        const runner = new Runner();
+        runners.push(runner);
+        await runner.setup(runnerOptions);
+        runner.on(Runner.PREPARE_START_EVENT, () => {
+            app.logger.play('generating test...');
+        });
+        runner.on(Runner.PREPARE_END_EVENT, () => {
+            app.logger.stop();
+            if (options.prepare) {
+                app.logger.success(`${runner.name} ready`);
+            }
+        });
+        runner.on(Runner.STOP_EVENT, () => {
+            app.logger.stop();
+        });
+        runner.on(Runner.TEST_EVENT, (report) => {
+            app.logger.event('test', Object.assign({ runner: runner.name }, report));
+        });
     }
 
     return startRunners(app, runners, files, !options.run, !options.prepare);
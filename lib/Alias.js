@@ -0,0 +1,115 @@
+const path = require('path');
+
+/**
+ * Check if an alias target or an import is a path.
+ * @param {string} target The alias target or the import.
+ * @return {boolean}
+ */
+function isPath(target) {
+    return target.indexOf('./') === 0 || target.indexOf('../') === 0 || path.isAbsolute(target);
+}
+
+/**
+ * Map imported modules to other modules or paths.
+ * Aliases can replace a module (and its subpaths) or use a `*` wildcard, as TypeScript `paths` do:
+ * ```
+ * {
+ *     '@app/*': './src/*',
+ *     'lodash': 'lodash-es',
+ *     'legacy-lib': './shims/legacy-lib.js',
+ * }
+ * ```
+ * Targets starting with `./`, `../` or `/` are paths resolved from the project root, otherwise they are module names.
+ */
+class Alias {
+    /**
+     * Read aliases from the `paths` option of a TypeScript configuration.
+     * @param {File} tsconfig The tsconfig.json file.
+     * @return {Object<string, Array<string>>} A map of aliases with absolute targets.
+     */
+    static fromTSConfig(tsconfig) {
+        const ts = require('typescript');
+        const { config, error } = ts.readConfigFile(tsconfig.path, ts.sys.readFile);
+        if (error || !config) {
+            return {};
+        }
+        const { options } = ts.parseJsonConfigFileContent(config, ts.sys, tsconfig.dirname);
+        const paths = options.paths || {};
+        const baseUrl = options.baseUrl || options.pathsBasePath || tsconfig.dirname;
+        return Object.keys(paths).reduce((map, key) => Object.assign(map, {
+            [key]: paths[key].map((target) => path.resolve(baseUrl, target)),
+        }), {});
+    }
+
+    /**
+     * Create an Alias instance.
+     * @param {Directory} root The root for relative targets.
+     * @param {...Object<string, string|Array<string>>} aliases Maps of aliases and targets. Later maps have precedence.
+     * @return {Alias}
+     */
+    constructor(root, ...aliases) {
+        const map = Object.assign({}, ...aliases.filter(Boolean));
+        this.entries = Object.keys(map)
+            .map((find) => {
+                const targets = (Array.isArray(map[find]) ? map[find] : [map[find]])
+                    .map((target) => (isPath(target) ? path.resolve(root.path, target) : target));
+                const [prefix, suffix] = find.split('*');
+                return {
+                    find,
+                    prefix,
+                    suffix: find.includes('*') ? suffix : null,
+                    targets,
+                };
+            })
+            // longest prefixes first, as TypeScript does.
+            .sort((a, b) => b.prefix.length - a.prefix.length);
+    }
+
+    /**
+     * The number of aliases.
+     * @type {number}
+     */
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Get the candidates of an aliased import.
+     * Relative and absolute imports are never aliased, even by a `*` alias.
+     * @param {string} importee The imported module.
+     * @return {Array<string>|null} A list of modules or absolute paths to try, or null if the import is not aliased.
+     */
+    resolve(importee) {
+        if (isPath(importee)) {
+            return null;
+        }
+        for (let i = 0; i < this.entries.length; i++) {
+            const { prefix, suffix, targets } = this.entries[i];
+            if (suffix !== null) {
+                if (importee.length >= prefix.length + suffix.length && importee.indexOf(prefix) === 0 && importee.endsWith(suffix)) {
+                    const match = importee.substring(prefix.length, importee.length - suffix.length);
+                    return targets.map((target) => target.replace('*', match));
+                }
+                continue;
+            }
+            if (importee === prefix) {
+                return targets.slice(0);
+            }
+            if (importee.indexOf(`${prefix}/`) === 0) {
+                const subpath = importee.substring(prefix.length);
+                return targets.map((target) => `${target}${subpath}`);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Convert aliases to a plain object.
+     * @return {Object<string, Array<string>>}
+     */
+    toJSON() {
+        return this.entries.reduce((map, { find, targets }) => Object.assign(map, { [find]: targets }), {});
+    }
+}
+
+module.exports = Alias;
@@ -0,0 +1,201 @@
+const { existsSync } = require('fs');
+const path = require('path');
+const colors = require('colors/safe');
+const { prettyBytes } = require('./File');
+
+/**
+ * @typedef {Object} SizeDelta
+ * @property {string} id The output file, package or module.
+ * @property {number} before The size in the baseline report.
+ * @property {number} after The size in the current report.
+ * @property {number} delta The size difference.
+ */
+
+/**
+ * @typedef {Object} ReportComparison
+ * @property {Array<SizeDelta>} outputs The changes of output files (raw size).
+ * @property {Array<SizeDelta>} zipped The changes of output files (gzipped size).
+ * @property {Array<SizeDelta>} packages The changes of bundled NPM packages.
+ * @property {Array<SizeDelta>} modules The changes of bundled modules.
+ */
+
+/**
+ * Collect bundles analysis in a JSON report, which can be compared with a baseline.
+ * Paths in the report are relative to the root project, so reports generated on different machines can be compared.
+ */
+class AnalysisReport {
+    /**
+     * Load a report from file.
+     * @param {File} file The report file.
+     * @return {AnalysisReport}
+     */
+    static load(file) {
+        if (!file.exists()) {
+            throw new Error(`missing report file ${file.path}`);
+        }
+        const data = file.readJson();
+        if (!data || !data.bundles) {
+            throw new Error(`invalid report file ${file.path}`);
+        }
+        const report = new AnalysisReport();
+        report.bundles = data.bundles;
+        return report;
+    }
+
+    /**
+     * Formatter for report comparisons.
+     * @param {ReportComparison} comparison The comparison to format.
+     * @return {string}
+     */
+    static formatComparison(comparison) {
+        const sections = [
+            ['outputs', comparison.outputs],
+            ['outputs (gzip)', comparison.zipped],
+            ['packages', comparison.packages],
+            ['modules', comparison.modules],
+        ].filter(([, list]) => list.length);
+
+        if (!sections.length) {
+            return '\nno size changes\n';
+        }
+
+        const maxLength = Math.max(...sections.map(([, list]) => Math.max(...list.map((entry) => entry.id.length)))) + 1;
+        const lines = [];
+        sections.forEach(([title, list]) => {
+            lines.push('', colors.underline(title));
+            list.forEach((entry) => {
+                const sizes = `${entry.before ? prettyBytes(entry.before) : '-'} -> ${entry.after ? prettyBytes(entry.after) : '-'}`;
+                const delta = `${entry.delta > 0 ? '+' : '-'}${prettyBytes(entry.delta)}`;
+                lines.push(`${entry.id.padEnd(maxLength, ' ')} ${sizes.padStart(21, ' ')}  ${entry.delta > 0 ? colors.red(delta) : colors.green(delta)}`);
+            });
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Create a report.
+     * @param {Directory} root The root of the report paths.
+     * @return {AnalysisReport}
+     */
+    constructor(root) {
+        this.root = root;
+        this.bundles = {};
+    }
+
+    /**
+     * Add the analysis of a bundle to the report.
+     * @param {Directory} bundleRoot The root directory of the bundle modules.
+     * @param {File|Directory} output The output of the bundle.
+     * @param {Object} analysis The bundle analysis.
+     * @param {Array<File>} files The written files.
+     * @return {void}
+     */
+    add(bundleRoot, output, analysis, files = []) {
+        const resolveId = (id) => {
+            if (id[0] === '\0') {
+                // virtual module.
+                return id;
+            }
+            const fileName = path.join(bundleRoot.path, id);
+            if (!existsSync(fileName) && existsSync(id)) {
+                // the analyzer strips the root only for modules inside the bundle root.
+                return this.root.relative(id);
+            }
+            return this.root.relative(fileName);
+        };
+
+        this.bundles[this.root.relative(output)] = {
+            bundleSize: analysis.bundleSize,
+            bundleOrigSize: analysis.bundleOrigSize,
+            bundleReduction: analysis.bundleReduction,
+            files: files
+                .filter((file) => file.extname !== '.map')
+                .map((file) => {
+                    const { size, zipped } = file.size;
+                    return {
+                        file: this.root.relative(file),
+                        size: Number(size),
+                        zipped: Number(zipped),
+                    };
+                }),
+            modules: analysis.modules.map((mod) => ({
+                id: resolveId(mod.id),
+                size: mod.size,
+                origSize: mod.origSize,
+                reduction: mod.reduction,
+            })),
+        };
+    }
+
+    /**
+     * Compare the report with a baseline.
+     * @param {AnalysisReport} baseline The previous report.
+     * @return {ReportComparison}
+     */
+    compare(baseline) {
+        const collect = (report, callback) => {
+            const map = {};
+            Object.values(report.bundles).forEach((bundle) => {
+                callback(bundle).forEach(([id, size]) => {
+                    map[id] = (map[id] || 0) + size;
+                });
+            });
+            return map;
+        };
+        const diff = (before, after) => Object.keys(Object.assign({}, before, after))
+            .map((id) => ({
+                id,
+                before: before[id] || 0,
+                after: after[id] || 0,
+                delta: (after[id] || 0) - (before[id] || 0),
+            }))
+            .filter((entry) => entry.delta !== 0)
+            .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+        const outputs = (bundle) => bundle.files.map((file) => [file.file, file.size]);
+        const zipped = (bundle) => bundle.files.map((file) => [file.file, file.zipped]);
+        const modules = (bundle) => bundle.modules.map((mod) => [mod.id, mod.size]);
+        const packages = (bundle) => bundle.modules
+            .map((mod) => [getPackageName(mod.id), mod.size])
+            .filter(([name]) => !!name);
+
+        return {
+            outputs: diff(collect(baseline, outputs), collect(this, outputs)),
+            zipped: diff(collect(baseline, zipped), collect(this, zipped)),
+            packages: diff(collect(baseline, packages), collect(this, packages)),
+            modules: diff(collect(baseline, modules), collect(this, modules)),
+        };
+    }
+
+    /**
+     * Write the report.
+     * @param {File} file The report file.
+     * @return {void}
+     */
+    write(file) {
+        file.writeJson(this.toJSON());
+    }
+
+    /**
+     * Convert the report to a plain object.
+     * @return {Object}
+     */
+    toJSON() {
+        return {
+            bundles: this.bundles,
+        };
+    }
+}
+
+/**
+ * Get the name of the NPM package which contains a module.
+ * @param {string} id The module id.
+ * @return {string|null}
+ */
+function getPackageName(id) {
+    const match = id.match(/.*node_modules\/((?:@[^/]+\/)?[^/]+)/);
+    return match ? match[1] : null;
+}
+
+module.exports = AnalysisReport;
@@ -0,0 +1,165 @@
+const path = require('path');
+const colors = require('colors/safe');
+const { createFilter } = require('@rollup/pluginutils');
+const { prettyBytes } = require('./File');
+
+/**
+ * Size units, using the same base of the build logs.
+ */
+const UNITS = {
+    b: 1,
+    kb: 1024,
+    mb: 1024 ** 2,
+};
+
+/**
+ * @typedef {Object} BudgetResult
+ * @property {string} target The checked file or module pattern.
+ * @property {string} type The budget type: file or module.
+ * @property {string} metric The checked metric: size or gzip.
+ * @property {number} limit The max allowed bytes.
+ * @property {number} actual The measured bytes.
+ * @property {boolean} exceeded The budget has been exceeded.
+ */
+
+/**
+ * Check output files and bundled modules against size limits.
+ * Budgets are declared in the `budgets` option of the build configuration:
+ * ```
+ * [
+ *     { file: 'dist/widget.js', size: '150 KB', gzip: '45 KB' },
+ *     { module: 'node_modules/lodash/**', size: '20 KB' },
+ * ]
+ * ```
+ */
+class Budgets {
+    /**
+     * Convert a size string to bytes.
+     * @param {string|number} size The size to convert (eg `'20 KB'`).
+     * @return {number}
+     */
+    static parseSize(size) {
+        if (typeof size === 'number') {
+            return size;
+        }
+        const match = `${size}`.trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb)?$/i);
+        if (!match) {
+            throw new Error(`invalid size "${size}" for budget`);
+        }
+        return Math.round(parseFloat(match[1]) * UNITS[(match[2] || 'b').toLowerCase()]);
+    }
+
+    /**
+     * Formatter for budgets results.
+     * @param {Array<BudgetResult>} results The results of a check.
+     * @return {string}
+     */
+    static format(results) {
+        const maxLength = Math.max(...results.map((result) => result.target.length)) + 1;
+        const lines = results.map((result) => {
+            const delta = result.actual - result.limit;
+            const percent = ((delta / result.limit) * 100).toFixed(1);
+            const sizes = `${prettyBytes(result.actual)} / ${prettyBytes(result.limit)}`.padStart(21, ' ');
+            const diff = `${delta > 0 ? '+' : '-'}${prettyBytes(delta)} (${delta > 0 ? '+' : ''}${percent}%)`;
+            return `${result.target.padEnd(maxLength, ' ')} ${result.metric.padEnd(4, ' ')} ${sizes}  ${result.exceeded ? colors.red(diff) : colors.green(diff)}`;
+        });
+
+        return `\n${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Create a Budgets instance.
+     * @param {Project} project The project which owns the budgets.
+     * @param {Array<Object>} budgets The list of budgets.
+     * @return {Budgets}
+     */
+    constructor(project, budgets = []) {
+        if (!Array.isArray(budgets)) {
+            throw new Error(`invalid "budgets" option for project ${project.path}`);
+        }
+        this.project = project;
+        this.budgets = budgets.map((budget, index) => {
+            if (!budget.file && !budget.module) {
+                throw new Error(`missing "file" or "module" option for budget ${index} of project ${project.path}`);
+            }
+            if (budget.size == null && budget.gzip == null) {
+                throw new Error(`missing "size" or "gzip" option for budget ${index} of project ${project.path}`);
+            }
+            if (budget.module && budget.gzip != null) {
+                throw new Error(`"gzip" option is not supported by module budget ${index} of project ${project.path}`);
+            }
+            return {
+                type: budget.file ? 'file' : 'module',
+                target: budget.file || budget.module,
+                filter: createFilter(budget.file || budget.module, null, { resolve: project.path }),
+                size: budget.size != null ? Budgets.parseSize(budget.size) : null,
+                gzip: budget.gzip != null ? Budgets.parseSize(budget.gzip) : null,
+            };
+        });
+    }
+
+    /**
+     * Budgets for bundled modules need the bundle analysis.
+     * @type {boolean}
+     */
+    get hasModules() {
+        return this.budgets.some((budget) => budget.type === 'module');
+    }
+
+    /**
+     * Check a build.
+     * @param {Array<File>} files The written files.
+     * @param {Array<Object>} analyses The analysis of the bundles.
+     * @return {Array<BudgetResult>} The list of checked budgets.
+     */
+    check(files = [], analyses = []) {
+        const results = [];
+        this.budgets.forEach((budget) => {
+            if (budget.type === 'file') {
+                files
+                    .filter((file) => file.extname !== '.map' && budget.filter(file.path))
+                    .forEach((file) => {
+                        const { size, zipped } = file.size;
+                        const target = this.project.relative(file);
+                        if (budget.size != null) {
+                            results.push(createResult(budget, target, 'size', Number(size)));
+                        }
+                        if (budget.gzip != null) {
+                            results.push(createResult(budget, target, 'gzip', Number(zipped)));
+                        }
+                    });
+                return;
+            }
+            // modules ids of the analysis are relative to the project root.
+            const sizes = analyses.map((analysis) => analysis.modules
+                .filter((mod) => budget.filter(path.join(this.project.path, mod.id)))
+                .reduce((sum, mod) => sum + mod.size, 0));
+            if (sizes.length) {
+                results.push(createResult(budget, budget.target, 'size', Math.max(...sizes)));
+            }
+        });
+        return results;
+    }
+}
+
+/**
+ * Create the result of a check.
+ * @param {Object} budget The budget.
+ * @param {string} target The checked file or module pattern.
+ * @param {string} metric The checked metric.
+ * @param {number} actual The measured bytes.
+ * @return {BudgetResult}
+ */
+function createResult(budget, target, metric, actual) {
+    const limit = budget[metric];
+    return {
+        target,
+        type: budget.type,
+        metric,
+        limit,
+        actual,
+        exceeded: actual > limit,
+    };
+}
+
+module.exports = Budgets;
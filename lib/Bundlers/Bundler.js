@@ -84,6 +84,59 @@ class Bundler extends EventEmitter {
         this.written = true;
     }
 
+    /**
+     * Apply the user customization of a tool configuration (`rollup`, `babel` or `postcss` options).
+     * The customization can be an object with the lists of plugins to `prepend` (or `plugins`) and to `append`
+     * to the generated ones (and `presets` to append, for Babel), or a function which receives the generated config
+     * and mutates it or returns a new one.
+     * @protected
+     * @param {string} name The name of the option.
+     * @param {Object} config The generated configuration.
+     * @param {Object} [options] The options of the bundler.
+     * @return {Object} The configuration to use.
+     */
+    customize(name, config, options = this.options) {
+        const custom = options[name];
+        if (!custom) {
+            return config;
+        }
+        if (typeof custom === 'function') {
+            return custom(config) || config;
+        }
+        if (typeof custom !== 'object') {
+            throw new Error(`invalid "${name}" option for ${this.name}: an object or a function is expected`);
+        }
+        const result = Object.assign({}, config);
+        const prepend = [...(custom.prepend || []), ...(custom.plugins || [])];
+        const append = custom.append || [];
+        if (prepend.length || append.length) {
+            result.plugins = [...prepend, ...(config.plugins || []), ...append];
+        }
+        if (custom.presets) {
+            result.presets = [...(config.presets || []), ...custom.presets];
+        }
+        return result;
+    }
+
+    /**
+     * Update the assets manifest with the content-hashed files of the bundle.
+     * The manifest file is `assets-manifest.json` in the output directory, unless the `assetsManifest` option is set.
+     * @protected
+     * @param {Directory} directory The output directory.
+     * @param {Object<string, string>} assets A map of logical paths and hashed paths.
+     * @return {File} The manifest file.
+     */
+    updateAssetsManifest(directory, assets) {
+        const manifestFile = this.options.assetsManifest || directory.file('assets-manifest.json');
+        const manifestDir = manifestFile.parent;
+        const manifest = (manifestFile.exists() && manifestFile.readJson()) || {};
+        for (let logicalPath in assets) {
+            manifest[manifestDir.relative(logicalPath)] = manifestDir.relative(assets[logicalPath]);
+        }
+        manifestFile.writeJson(manifest);
+        return manifestFile;
+    }
+
     listenBundler(bundler) {
         bundler.on(Bundler.BUILD_START, (input, code, child) => this.emit(Bundler.BUILD_START, input, code, child || bundler));
         bundler.on(Bundler.BUILD_END, (input, code, child) => this.emit(Bundler.BUILD_END, input, code, child || bundler));
@@ -1,8 +1,11 @@
+const { readFileSync } = require('fs');
+const crypto = require('crypto');
 const { File, Directory, Project } = require('../File');
 const Bundler = require('./Bundler');
 
 /**
  * Simply copy an input file to output.
+ * Using the `hash` option, the content hash is added to the output file name.
  */
 class CopyBundler extends Bundler {
     /**
@@ -45,24 +48,84 @@ class CopyBundler extends Bundler {
         if (!input.exists()) {
             throw new Error(`missing "input" file ${root.relative(input)} for ${this.name}`);
         }
-        this.result = input;
         this.addResources(input.path);
+        try {
+            const code = await this.transform(input);
+            this.result = {
+                file: input,
+                code,
+                assets: this.options.hash ? this.getHashedAssets(code || readFileSync(input.path)) : null,
+            };
+        } catch (error) {
+            this.emit(CopyBundler.ERROR_EVENT, error);
+            throw error;
+        }
         this.emit(CopyBundler.BUNDLE_END, this.result);
         return this.result;
     }
 
+    /**
+     * Transform the input file before writing it.
+     * @protected
+     * @param {File} input The input file.
+     * @return {Promise<Buffer|null>} The output contents, or null to copy the file as is.
+     */
+    async transform() {
+        return null;
+    }
+
     /**
      * @inheritdoc
      */
     async write() {
-        const output = this.options.output;
+        const { output, assets } = this.getOutput();
         this.emit(CopyBundler.WRITE_START);
-        this.result.copy(output);
+        if (this.outputFile && this.outputFile.path !== output.path && this.outputFile.exists()) {
+            // remove the previous hashed file.
+            this.outputFile.unlink();
+        }
+        this.outputFile = output;
+        if (this.result.code) {
+            output.write(this.result.code);
+        } else {
+            this.result.file.copy(output);
+        }
         this.emit(CopyBundler.WRITE_PROGRESS, output);
+        if (assets) {
+            this.emit(CopyBundler.WRITE_PROGRESS, this.updateAssetsManifest(this.options.output.parent, assets));
+        }
         this.emit(CopyBundler.WRITE_END);
         await super.write();
         return output;
     }
+
+    /**
+     * Map the output file to its content-hashed name.
+     * @private
+     * @param {Buffer} content The content of the output file.
+     * @return {Object<string, string>}
+     */
+    getHashedAssets(content) {
+        const output = this.options.output;
+        const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 8);
+        return {
+            [output.path]: output.parent.file(`${output.basename}-${hash}${output.extname}`).path,
+        };
+    }
+
+    /**
+     * Get the file to write, which is content-hashed when using the `hash` option.
+     * @private
+     * @return {{ output: File, assets: Object<string, string>|null }}
+     */
+    getOutput() {
+        const output = this.options.output;
+        const assets = this.result.assets;
+        return {
+            output: assets ? new File(assets[output.path]) : output,
+            assets,
+        };
+    }
 }
 
 module.exports = CopyBundler;
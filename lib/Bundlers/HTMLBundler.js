@@ -11,6 +11,17 @@ const StyleBundler = require('./StyleBundler');
 const ScriptBundler = require('./ScriptBundler');
 const WebManifestBundler = require('./WebManifestBundler');
 const IconBundler = require('./IconBundler');
+const SvgSpriteBundler = require('./SvgSpriteBundler');
+const ImageBundler = require('./ImageBundler');
+
+/**
+ * Remove the resize and format query from the url of an image (eg `image.png?w=320,640&format=webp`).
+ * @param {string} url The referenced url.
+ * @return {string} The referenced file name.
+ */
+function getSourceName(url) {
+    return ImageBundler.isImage(url) ? url.split('?')[0] : url;
+}
 
 /**
  * Bundle a HTML file and all its resources.
@@ -111,6 +122,7 @@ class HTMLBundler extends Bundler {
     get bundlers() {
         return (this.linksBundlers || [])
             .concat(this.sourcesBundlers || [])
+            .concat(this.spritesBundlers || [])
             .concat(this.stylesBundlers || [])
             .concat(this.scriptsBundlers || [])
             .concat(this.iconBundler ? [this.iconBundler] : [])
@@ -148,7 +160,16 @@ class HTMLBundler extends Bundler {
             options.root = Project.getProject(input);
         }
 
+        if (options.optimizeImages == null) {
+            options.optimizeImages = !!options.production;
+        }
+
         await super.setup(options);
+
+        if (options.hash) {
+            // collect hashed resources in a single manifest.
+            this.assetsManifest = options.assetsManifest || output.parent.file('assets-manifest.json');
+        }
     }
 
     /**
@@ -170,7 +191,8 @@ class HTMLBundler extends Bundler {
             this.addResources(input.path);
 
             let document;
-            let invalidating = !this.result || invalidate.find((file) => file.path === input.path);
+            // hashed resources names change on every build, so the document must be regenerated.
+            let invalidating = !this.result || !!this.options.hash || invalidate.find((file) => file.path === input.path);
             if (invalidating) {
                 this.emit(HTMLBundler.BUILD_START, input, null);
 
@@ -210,6 +232,10 @@ class HTMLBundler extends Bundler {
                     this.sourcesBundlers = [];
                     await this.handleSources(document);
                 }
+                if (this.options.sprites !== false) {
+                    this.spritesBundlers = [];
+                    await this.handleSprites(document);
+                }
                 if (this.options.icon !== false && !fragment) {
                     let bundler = await this.handleIcon(document, icons, this.options.icon);
                     if (bundler) {
@@ -280,7 +306,7 @@ class HTMLBundler extends Bundler {
             .filter((element) => !!element.href)
             .filter((element) => element.href.startsWith('file://'))
             .filter((element) => {
-                const file = root.file(element.href.replace(`file://${this.base || '/'}`, ''));
+                const file = root.file(getSourceName(element.href.replace(`file://${this.base || '/'}`, '')));
                 if (!file.exists()) {
                     this.emit(HTMLBundler.WARN_EVENT, `referenced file '${file.path}' does not exists`);
                     return false;
@@ -293,7 +319,7 @@ class HTMLBundler extends Bundler {
                 const type = element.getAttribute('type');
                 const rel = element.getAttribute('rel');
                 const href = element.href.replace(`file://${this.base || '/'}`, '');
-                const inputFile = input.parent.file(href);
+                const inputFile = input.parent.file(getSourceName(href));
                 if (
                     type === 'text/css' ||
                     rel === 'stylesheet' ||
@@ -331,20 +357,17 @@ class HTMLBundler extends Bundler {
         const outputFile = output.parent.file(href).ext('.css');
         const bundler = new StyleBundler();
         this.listenBundler(bundler);
-        await bundler.setup({
+        await bundler.setup(this.getChildOptions({
             input,
             output: outputFile,
             root,
-            targets: this.options.targets,
-            production: this.options.production,
-            map: this.options.map,
             lint: this.options.lint,
             handleAssets: this.options.handleCSSAssets,
-        });
+        }));
         await bundler.build();
         this.linksBundlers.push(bundler);
         this.addResources(...bundler.files);
-        return `${this.base || ''}${output.parent.relative(outputFile)}`;
+        return `${this.base || ''}${output.parent.relative(this.resolveOutputFile(bundler, outputFile))}`;
     }
 
     async handleScriptLink(input, root, element) {
@@ -356,20 +379,17 @@ class HTMLBundler extends Bundler {
         const outputFile = output.file(href).ext('.js');
         const bundler = new ScriptBundler();
         this.listenBundler(bundler);
-        await bundler.setup({
+        await bundler.setup(this.getChildOptions({
             input,
             output: outputFile,
             bundle: true,
             format: 'umd',
-            targets: this.options.targets,
-            production: this.options.production,
-            map: this.options.map,
             jsx: this.options.jsx,
-        });
+        }));
         await bundler.build();
         this.linksBundlers.push(bundler);
         this.addResources(...bundler.files);
-        return `${this.base || ''}${output.relative(outputFile)}`;
+        return `${this.base || ''}${output.relative(this.resolveOutputFile(bundler, outputFile))}`;
     }
 
     async handleAssetLink(input, root, element) {
@@ -379,17 +399,91 @@ class HTMLBundler extends Bundler {
         }
         const outputRoot = output.parent;
         const href = element.href.replace(`file://${this.base || '/'}`, '');
-        const outputFile = outputRoot.file(href);
-        const bundler = new CopyBundler();
-        this.listenBundler(bundler);
-        await bundler.setup({
-            input,
-            output: outputFile,
-        });
-        await bundler.build();
-        this.linksBundlers.push(bundler);
-        this.addResources(...bundler.files);
-        return `${this.base || ''}${outputRoot.relative(outputFile)}`;
+        const variants = await this.handleSourceFile(input, outputRoot.file(getSourceName(href)), href);
+        this.linksBundlers.push(...variants.map(({ bundler }) => bundler));
+        const toUrl = (file) => `${this.base || ''}${outputRoot.relative(file)}`;
+        if (variants[0].width && element.getAttribute('as') === 'image') {
+            element.setAttribute('imagesrcset', variants.map(({ file, width }) => `${toUrl(file)} ${width}w`).join(', '));
+        }
+        return toUrl(variants[variants.length - 1].file);
+    }
+
+    /**
+     * Copy a referenced file to the output directory.
+     * Images are recompressed when the `optimizeImages` option is set,
+     * and a variant is written for each width requested by the url (eg `image.png?w=320,640`),
+     * converted to WebP by the `format` query param (eg `image.png?w=320,640&format=webp`).
+     * Using the `hash` option, written files are content-hashed and collected in the assets manifest.
+     * @private
+     * @param {File} input The referenced file.
+     * @param {File} output The output file.
+     * @param {string} url The referenced url.
+     * @return {Promise<Array<{ bundler: Bundler, file: File, width: number|null }>>} The files to write, sorted by width.
+     */
+    async handleSourceFile(input, output, url) {
+        const isImage = ImageBundler.isImage(input.path);
+        const widths = (isImage && ImageBundler.getWidths(url)) || [null];
+        const format = isImage ? ImageBundler.getFormat(url) : null;
+        return await Promise.all(
+            widths.map(async (width) => {
+                const file = output.parent.file(ImageBundler.getFileName(output.name, width, format));
+                const bundler = isImage ? new ImageBundler() : new CopyBundler();
+                this.listenBundler(bundler);
+                await bundler.setup({
+                    input,
+                    output: file,
+                    width,
+                    format,
+                    optimize: this.options.optimizeImages,
+                    hash: this.options.hash,
+                    assetsManifest: this.assetsManifest,
+                });
+                await bundler.build();
+                this.addResources(...bundler.files);
+                return { bundler, file: this.resolveOutputFile(bundler, file), width };
+            })
+        );
+    }
+
+    /**
+     * Get the file written by a bundler for an output file, which is content-hashed when using the `hash` option.
+     * @private
+     * @param {Bundler} bundler The resource bundler.
+     * @param {File} outputFile The expected output file.
+     * @return {File}
+     */
+    resolveOutputFile(bundler, outputFile) {
+        const assets = bundler.result && bundler.result.assets;
+        if (assets && assets[outputFile.path]) {
+            return new File(assets[outputFile.path]);
+        }
+        return outputFile;
+    }
+
+    /**
+     * Get the options of the bundlers of scripts and styles, which inherit the build options of the document.
+     * @private
+     * @param {Object} options The options of the child bundler, which override the inherited ones.
+     * @return {Object}
+     */
+    getChildOptions(options) {
+        return Object.assign({
+            targets: this.options.targets,
+            production: this.options.production,
+            minify: this.options.minify,
+            optimizeImages: this.options.optimizeImages,
+            inlineLimit: this.options.inlineLimit,
+            map: this.options.map,
+            hash: this.options.hash,
+            alias: this.options.alias,
+            mode: this.options.mode,
+            define: this.options.define,
+            rollup: this.options.rollup,
+            babel: this.options.babel,
+            babelrc: this.options.babelrc,
+            postcss: this.options.postcss,
+            assetsManifest: this.assetsManifest,
+        }, options);
     }
 
     /**
@@ -406,7 +500,7 @@ class HTMLBundler extends Bundler {
             .filter((element) => !!element.src)
             .filter((element) => element.src.startsWith('file://'))
             .filter((element) => {
-                const file = root.file(element.src.replace(`file://${this.base || '/'}`, ''));
+                const file = root.file(getSourceName(element.src.replace(`file://${this.base || '/'}`, '')));
                 if (!file.exists()) {
                     this.emit(HTMLBundler.WARN_EVENT, `referenced file '${file.path}' does not exists`);
                     return false;
@@ -416,18 +510,75 @@ class HTMLBundler extends Bundler {
         await Promise.all(
             elements.map(async (element) => {
                 const href = element.src.replace(`file://${this.base || '/'}`, '');
-                const inputFile = root.file(href);
-                const outputFile = outputRoot.file(href);
-                const bundler = new CopyBundler();
-                this.listenBundler(bundler);
-                await bundler.setup({
-                    input: inputFile,
-                    output: outputFile,
-                });
-                await bundler.build();
-                element.setAttribute('src', `${this.base || ''}${outputRoot.relative(outputFile)}`);
-                this.addResources(...bundler.files);
-                this.sourcesBundlers.push(bundler);
+                const fileName = getSourceName(href);
+                const variants = await this.handleSourceFile(root.file(fileName), outputRoot.file(fileName), href);
+                this.sourcesBundlers.push(...variants.map(({ bundler }) => bundler));
+                const toUrl = (file) => `${this.base || ''}${outputRoot.relative(file)}`;
+                if (variants[0].width && (element.localName === 'img' || element.localName === 'source')) {
+                    element.setAttribute('srcset', variants.map(({ file, width }) => `${toUrl(file)} ${width}w`).join(', '));
+                }
+                element.setAttribute('src', toUrl(variants[variants.length - 1].file));
+            })
+        );
+    }
+
+    /**
+     * Handle `<use>` elements which reference the symbols of a SVG sprite.
+     * Sprites are copied to the output directory, unless they are already there (eg generated by the SvgSpriteBundler),
+     * and a warning is emitted for every missing symbol.
+     * @private
+     * @param {Document} document The main document instance.
+     * @return {Promise}
+     */
+    async handleSprites(document) {
+        const { input, output } = this.options;
+        const root = input.parent;
+        const outputRoot = output && output.parent;
+        const sprites = {};
+        [...document.querySelectorAll('use')]
+            .forEach((element) => {
+                const href = element.getAttribute('href') || element.getAttribute('xlink:href');
+                if (!href || href[0] === '#') {
+                    return;
+                }
+                const url = new URL(href, document.baseURI);
+                if (url.protocol !== 'file:' || !url.hash) {
+                    return;
+                }
+                const fileName = decodeURIComponent(url.pathname).replace(this.base || '/', '');
+                const id = decodeURIComponent(url.hash.substring(1));
+                const ids = sprites[fileName] = sprites[fileName] || [];
+                if (!ids.includes(id)) {
+                    ids.push(id);
+                }
+            });
+
+        await Promise.all(
+            Object.keys(sprites).map(async (fileName) => {
+                let spriteFile = root.file(fileName);
+                if (spriteFile.exists() && outputRoot && outputRoot.file(fileName).path !== spriteFile.path) {
+                    const bundler = new CopyBundler();
+                    this.listenBundler(bundler);
+                    await bundler.setup({
+                        input: spriteFile,
+                        output: outputRoot.file(fileName),
+                    });
+                    await bundler.build();
+                    this.addResources(...bundler.files);
+                    this.spritesBundlers.push(bundler);
+                } else if (!spriteFile.exists() && outputRoot && outputRoot.file(fileName).exists()) {
+                    spriteFile = outputRoot.file(fileName);
+                }
+                if (!spriteFile.exists()) {
+                    this.emit(HTMLBundler.WARN_EVENT, `referenced file '${spriteFile.path}' does not exists`);
+                    return;
+                }
+                const symbols = SvgSpriteBundler.getSymbols(spriteFile.read());
+                sprites[fileName]
+                    .filter((id) => !symbols.includes(id))
+                    .forEach((id) => {
+                        this.emit(HTMLBundler.WARN_EVENT, `missing symbol '${id}' in sprite '${fileName}'`);
+                    });
             })
         );
     }
@@ -462,15 +613,12 @@ class HTMLBundler extends Bundler {
         const output = this.options.output;
         const outputRoot = output && output.parent;
         this.listenBundler(bundler);
-        await bundler.setup({
+        await bundler.setup(this.getChildOptions({
             code,
             root,
             output: outputRoot,
-            targets: this.options.targets,
-            production: this.options.production,
-            map: this.options.map,
             handleAssets: this.options.handleCSSAssets,
-        });
+        }));
         this.stylesBundlers.push(bundler);
         this.addResources(...bundler.files);
         const { css } = await bundler.build();
@@ -535,38 +683,32 @@ class HTMLBundler extends Bundler {
         const outputFile = outputRoot.file(href).ext('.js');
         const bundler = new ScriptBundler();
         this.listenBundler(bundler);
-        await bundler.setup({
+        await bundler.setup(this.getChildOptions({
             input,
             output: outputFile,
             format: 'umd',
-            targets: this.options.targets,
             bundle: true,
-            production: this.options.production,
-            map: this.options.map,
             lint: this.options.lint,
             jsx: this.options.jsx,
-        });
+        }));
         await bundler.build();
         this.scriptsBundlers.push(bundler);
         this.addResources(...bundler.files);
-        return `${this.base || ''}${outputRoot.relative(outputFile)}`;
+        return `${this.base || ''}${outputRoot.relative(this.resolveOutputFile(bundler, outputFile))}`;
     }
 
     async handleScriptCode(code, root) {
         const bundler = new ScriptBundler();
         this.listenBundler(bundler);
-        await bundler.setup({
+        await bundler.setup(this.getChildOptions({
             code,
             root,
             format: 'esm',
-            targets: this.options.targets,
             bundle: true,
             vendors: true,
-            production: this.options.production,
-            map: this.options.map,
             lint: this.options.lint,
             jsx: this.options.jsx,
-        });
+        }));
         const result = await bundler.build();
         this.scriptsBundlers.push(bundler);
         this.addResources(...bundler.files);
@@ -590,7 +732,7 @@ class HTMLBundler extends Bundler {
             const esmOutput = outputRoot.directory('module');
             const esmBundler = new ScriptBundler();
             this.listenBundler(esmBundler);
-            await esmBundler.setup({
+            await esmBundler.setup(this.getChildOptions({
                 code,
                 root,
                 input: scriptInput,
@@ -599,19 +741,18 @@ class HTMLBundler extends Bundler {
                 targets: supportTargets.toQuery(),
                 bundle: true,
                 vendors: true,
-                production: this.options.production,
-                map: this.options.map,
                 lint: this.options.lint,
                 jsx: this.options.jsx,
-            });
+            }));
 
             await esmBundler.build();
+            const esmFile = this.resolveOutputFile(esmBundler, esmOutput.file(scriptInput.name));
             const moduleScript = document.createElement('script');
             if (!supportModules) {
-                moduleScript.textContent = `(async () => await import('${this.base || './'}${outputRoot.relative(esmOutput.file(scriptInput.name))}'))();window.__esm__ = true;`;
+                moduleScript.textContent = `(async () => await import('${this.base || './'}${outputRoot.relative(esmFile)}'))();window.__esm__ = true;`;
             } else {
                 moduleScript.setAttribute('type', 'module');
-                moduleScript.setAttribute('src', `${this.base || './'}${outputRoot.relative(esmOutput.file(scriptInput.name))}`);
+                moduleScript.setAttribute('src', `${this.base || './'}${outputRoot.relative(esmFile)}`);
             }
             this.addResources(...esmBundler.files);
             this.scriptsBundlers.push(esmBundler);
@@ -629,23 +770,21 @@ class HTMLBundler extends Bundler {
                 const promisePolyfillCode = readFileSync(promisePolyfillUrl, 'utf8');
                 const fallbackBundler = new ScriptBundler();
                 this.listenBundler(fallbackBundler);
-                await fallbackBundler.setup({
+                await fallbackBundler.setup(this.getChildOptions({
                     code,
                     root,
                     input: scriptInput,
                     output: systemOutput,
                     format: 'system',
-                    targets: this.options.targets,
                     bundle: true,
                     vendors: true,
-                    production: this.options.production,
-                    map: this.options.map,
                     jsx: this.options.jsx,
                     lint: false,
-                });
+                }));
                 await fallbackBundler.build();
+                const systemFile = this.resolveOutputFile(fallbackBundler, systemOutput.file(scriptInput.name));
                 const nomoduleScript = document.createElement('script');
-                nomoduleScript.textContent = `!window.__esm__ && (function(){${promisePolyfillCode}${systemCode}System.import('${this.base || ''}${outputRoot.relative(systemOutput.file(scriptInput.name))}');})();`;
+                nomoduleScript.textContent = `!window.__esm__ && (function(){${promisePolyfillCode}${systemCode}System.import('${this.base || ''}${outputRoot.relative(systemFile)}');})();`;
                 nomoduleScript.setAttribute('type', 'text/javascript');
                 this.scriptsBundlers.push(fallbackBundler);
                 moduleElements.push(nomoduleScript);
@@ -655,23 +794,20 @@ class HTMLBundler extends Bundler {
 
         const umdBundler = new ScriptBundler();
         this.listenBundler(umdBundler);
-        await umdBundler.setup({
+        await umdBundler.setup(this.getChildOptions({
             code,
             root,
             input: scriptInput,
             output: outputRoot,
             format,
-            targets: this.options.targets,
             bundle: true,
-            production: this.options.production,
-            map: this.options.map,
             lint: this.options.lint,
             jsx: this.options.jsx,
-        });
+        }));
 
         await umdBundler.build();
         const umdScript = document.createElement('script');
-        umdScript.setAttribute('src', `${this.base || ''}${scriptInput.name}`);
+        umdScript.setAttribute('src', `${this.base || ''}${outputRoot.relative(this.resolveOutputFile(umdBundler, outputRoot.file(scriptInput.name)))}`);
         this.addResources(...umdBundler.files);
         this.scriptsBundlers.push(umdBundler);
         return [umdScript];
@@ -883,14 +1019,15 @@ class HTMLBundler extends Bundler {
                 const inputSW = input.parent.file(manifest.serviceworker.src);
                 const outputSW = output.parent.file(manifest.serviceworker.src);
                 const bundler = this.bundlerSW = new ScriptBundler();
-                await bundler.setup({
+                await bundler.setup(this.getChildOptions({
                     input: inputSW,
                     output: outputSW,
                     root: input.parent,
-                    production: this.options.production,
                     format: 'umd',
                     targets: 'esmodules',
                     bundle: true,
+                    // the service worker is registered with a stable url.
+                    hash: false,
                     sw: {
                         root: output.parent.path,
                         exclude: [
@@ -898,8 +1035,7 @@ class HTMLBundler extends Bundler {
                             outputSW.name,
                         ],
                     },
-                    map: this.options.map,
-                });
+                }));
                 await bundler.build();
                 await bundler.write();
                 this.addResources(...bundler.files);
@@ -0,0 +1,197 @@
+const { promises: { readFile } } = require('fs');
+const path = require('path');
+const CopyBundler = require('./CopyBundler');
+
+/**
+ * Images which can be recompressed and resized.
+ */
+const IMAGE_REGEX = /\.(png|jpe?g)$/i;
+
+/**
+ * The options of the WebP encoder, which requires all the libwebp config fields.
+ */
+const WEBP_OPTIONS = {
+    quality: 80,
+    target_size: 0,
+    target_PSNR: 0,
+    method: 4,
+    sns_strength: 50,
+    filter_strength: 60,
+    filter_sharpness: 0,
+    filter_type: 1,
+    partitions: 0,
+    segments: 4,
+    pass: 1,
+    show_compressed: 0,
+    preprocessing: 0,
+    autofilter: 0,
+    partition_limit: 0,
+    alpha_compression: 1,
+    alpha_filtering: 1,
+    alpha_quality: 100,
+    lossless: 0,
+    exact: 0,
+    image_hint: 0,
+    emulate_jpeg_size: 0,
+    thread_level: 0,
+    low_memory: 0,
+    near_lossless: 100,
+    use_delta_palette: 0,
+    use_sharp_yuv: 0,
+};
+
+/**
+ * The WebP encoder, instantiated once and shared by all the bundlers of the process.
+ * @type {Promise<Object>}
+ */
+let webpEncoder;
+
+/**
+ * Instantiate the WebAssembly build of the libwebp encoder.
+ * The module does not register process handlers, and its runtime is kept alive, throwing errors instead of exiting the process.
+ * @return {Promise<Object>}
+ */
+function loadWebPEncoder() {
+    if (!webpEncoder) {
+        if (typeof TextDecoder === 'undefined') {
+            throw new Error('WebP conversion requires Node 12 or later');
+        }
+        const encoderPath = path.join(path.dirname(require.resolve('webp-wasm')), 'webp_node_enc');
+        const createEncoder = require(encoderPath);
+        webpEncoder = readFile(`${encoderPath}.wasm`)
+            .then((wasmBinary) => createEncoder({
+                wasmBinary,
+                noExitRuntime: true,
+                quit(status, error) {
+                    throw error;
+                },
+            }));
+    }
+    return webpEncoder;
+}
+
+/**
+ * Encode a RGBA bitmap as WebP image, since Jimp cannot write them.
+ * @param {{ data: Buffer, width: number, height: number }} bitmap The image bitmap.
+ * @param {number} quality The quality of the WebP image.
+ * @return {Promise<Buffer>}
+ */
+async function encodeWebP({ data, width, height }, quality) {
+    const encoder = await loadWebPEncoder();
+    const result = encoder.encode(new Uint8ClampedArray(data), width, height, Object.assign({}, WEBP_OPTIONS, { quality }));
+    return Buffer.from(result);
+}
+
+/**
+ * Recompress PNG and JPEG images and generate resized variants.
+ * Resized variants are requested adding a list of widths to the url of an image (eg `image.png?w=320,640`):
+ * each variant is written along the image with the width in the file name (eg `image-320w.png`).
+ * Images are converted to WebP using the `format` query param (eg `image.png?w=320,640&format=webp`).
+ */
+class ImageBundler extends CopyBundler {
+    /**
+     * Check if a file can be processed.
+     * @param {string} fileName The file name.
+     * @return {boolean}
+     */
+    static isImage(fileName) {
+        return IMAGE_REGEX.test(fileName.split('?')[0]);
+    }
+
+    /**
+     * Get the widths requested by the `w` query param of a url.
+     * @param {string} url The image url.
+     * @return {Array<number>|null} A sorted list of widths.
+     */
+    static getWidths(url) {
+        const match = url.match(/[?&]w=([\d,]+)/);
+        if (!match) {
+            return null;
+        }
+        const widths = match[1].split(',')
+            .map((width) => parseInt(width))
+            .filter((width, index, list) => width > 0 && list.indexOf(width) === index)
+            .sort((width1, width2) => width1 - width2);
+        return widths.length ? widths : null;
+    }
+
+    /**
+     * Get the output format requested by the `format` query param of a url.
+     * @param {string} url The image url.
+     * @return {string|null} The format, or null to keep the one of the image.
+     */
+    static getFormat(url) {
+        if (!ImageBundler.isImage(url)) {
+            return null;
+        }
+        const match = url.match(/[?&]format=(webp)(&|$)/i);
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    /**
+     * Get the file name of a resized or converted variant.
+     * @param {string} fileName The image file name.
+     * @param {number} [width] The width of the variant.
+     * @param {string} [format] The format of the variant.
+     * @return {string}
+     */
+    static getFileName(fileName, width, format) {
+        if (!width && !format) {
+            return fileName;
+        }
+        const extname = path.extname(fileName);
+        const baseName = fileName.slice(0, fileName.length - extname.length);
+        return `${baseName}${width ? `-${width}w` : ''}${format ? `.${format}` : extname}`;
+    }
+
+    /**
+     * Read an image, resizing, converting and recompressing it.
+     * Other files and images which are not processed are returned byte-for-byte,
+     * as recompressed images which are larger than the original.
+     * @param {string} fileName The image file.
+     * @param {Object} options
+     * @param {number} [options.width] The max width of the image.
+     * @param {boolean} [options.optimize] Should recompress the image.
+     * @param {number} [options.quality] The quality of recompressed JPEG and WebP images (default 80).
+     * @param {string} [options.format] The output format of the image (`webp`).
+     * @return {Promise<Buffer>}
+     */
+    static async process(fileName, { width, optimize, quality = 80, format } = {}) {
+        const buffer = await readFile(fileName);
+        if (!ImageBundler.isImage(fileName) || (!width && !optimize && !format)) {
+            return buffer;
+        }
+        const Jimp = require('jimp');
+        const image = await Jimp.read(buffer);
+        const mime = image.getMIME();
+        const resized = !!width && width < image.bitmap.width;
+        if (resized) {
+            image.resize(width, Jimp.AUTO);
+        } else if (!optimize && !format) {
+            return buffer;
+        }
+        if (format === 'webp') {
+            return await encodeWebP(image.bitmap, quality);
+        }
+        if (mime === Jimp.MIME_JPEG) {
+            image.quality(quality);
+        } else {
+            image.deflateLevel(9);
+        }
+        const result = await image.getBufferAsync(mime);
+        if (resized || result.length < buffer.length) {
+            return result;
+        }
+        return buffer;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    async transform(input) {
+        const { width, optimize, quality, format } = this.options;
+        return await ImageBundler.process(input.path, { width, optimize, quality, format });
+    }
+}
+
+module.exports = ImageBundler;
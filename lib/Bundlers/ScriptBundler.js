@@ -1,4 +1,4 @@
-const { existsSync, realpathSync } = require('fs');
+const { existsSync, readFileSync, realpathSync } = require('fs');
 const path = require('path');
 const resolve = require('resolve');
 const { rollup } = require('rollup');
@@ -8,8 +8,13 @@ const colors = require('colors/safe');
 const { File, Directory, Project } = require('../File');
 const Bundler = require('./Bundler');
 const Targets = require('../Targets');
+const Alias = require('../Alias');
+const Define = require('../Define');
+const Cache = require('../Cache');
+const { version } = require('../../package.json');
 
 const nodeResolve = require('@rollup/plugin-node-resolve');
+const alias = require('./plugins/rollup-plugin-alias/rollup-plugin-alias');
 const sourcemaps = require('rollup-plugin-sourcemaps');
 const json = require('@rollup/plugin-json');
 const typescript = require('@rollup/plugin-typescript');
@@ -24,6 +29,8 @@ const url = require('./plugins/rollup-plugin-url/rollup-plugin-url');
 const string = require('./plugins/rollup-plugin-string/rollup-plugin-string');
 const po = require('./plugins/rollup-plugin-po/rollup-plugin-po');
 const analyze = require('./plugins/rollup-plugin-analyzer/rollup-plugin-analyzer');
+const treemap = require('./plugins/rollup-plugin-analyzer/treemap');
+const { createFilter } = require('@rollup/pluginutils');
 const polyfill = require('./plugins/rollup-plugin-polyfill/rollup-plugin-polyfill');
 const dependencyCheck = require('./plugins/rollup-plugin-dependency-check/rollup-plugin-dependency-check');
 
@@ -38,6 +45,34 @@ function camelize(file) {
     return filename.replace(/(^[a-z0-9]|[-_]([a-z0-9]))/g, (g) => (g[1] || g[0]).toUpperCase());
 }
 
+/**
+ * Create a matcher for the `external` option.
+ * Names match the module and its subpaths (eg `lodash` matches `lodash/debounce`),
+ * while strings with wildcards are used as glob patterns.
+ * @param {Array<string|RegExp>|string|RegExp|Function} external The external modules.
+ * @param {Object<string, string>} globals A map of external modules and global names.
+ * @return {Function}
+ */
+function createExternalFilter(external, globals) {
+    if (typeof external === 'function') {
+        return external;
+    }
+    const list = [
+        ...(external ? (Array.isArray(external) ? external : [external]) : []),
+        ...Object.keys(globals || {}),
+    ];
+    const matchers = list.map((pattern) => {
+        if (pattern instanceof RegExp) {
+            return (id) => pattern.test(id);
+        }
+        if (pattern.includes('*')) {
+            return createFilter(pattern, null, { resolve: false });
+        }
+        return (id) => id === pattern || id.indexOf(`${pattern}/`) === 0;
+    });
+    return (id) => matchers.some((matcher) => matcher(id));
+}
+
 function formatBytes(bytes) {
     if (bytes <= 0 || isNaN(bytes)) {
         return '0 B ';
@@ -59,28 +94,268 @@ function printTimings(app, timings) {
 }
 /* eslint-enavke no-unused-vars */
 
-const DEPENDENCIES_CACHE = {
-    esm: {},
-    cjs: {},
-    umd: {},
-    system: {},
-};
+/**
+ * In-memory cache of node modules, shared by all the bundlers of the process.
+ * Modules are grouped by format.
+ * @type {Object}
+ */
+const DEPENDENCIES_CACHE = {};
 
-function createCache(format) {
+/**
+ * Persistent caches in use, by directory.
+ * @type {Object<string, Cache>}
+ */
+const BUILD_CACHES = {};
+
+/**
+ * Get the persistent cache for a directory.
+ * The same instance is shared by all the bundlers of the process.
+ * @param {string|Directory} directory The cache directory.
+ * @return {Cache}
+ */
+function getBuildCache(directory) {
+    const directoryPath = typeof directory === 'string' ? path.resolve(directory) : directory.path;
+    return BUILD_CACHES[directoryPath] = BUILD_CACHES[directoryPath] || new Cache(directoryPath);
+}
+
+/**
+ * Create a Rollup cache object from a list of cached modules groups.
+ * Modules of the last groups take precedence.
+ * @param {...Object} groups Maps of module ids and cached modules.
+ * @return {Object}
+ */
+function createCache(...groups) {
     return {
         plugins: {},
-        modules: Object.values(DEPENDENCIES_CACHE[format]),
+        modules: Object.values(Object.assign({}, ...groups)),
     };
 }
 
-function cacheDependencies(format, cache) {
+/**
+ * Collect Rollup cached modules in a cache store.
+ * @param {Object} store The cache store.
+ * @param {string} key The cache group.
+ * @param {Object} cache The Rollup cache object.
+ * @param {Function} [filter] A filter for the modules to collect.
+ * @return {void}
+ */
+function cacheModules(store, key, cache, filter = () => true) {
     if (cache.modules) {
+        const modules = store[key] = store[key] || {};
         cache.modules
-            .filter(({ id }) => id.indexOf('/node_modules/') !== -1)
+            .filter(filter)
             .forEach((mod) => {
-                DEPENDENCIES_CACHE[format][mod.id] = mod;
+                modules[mod.id] = mod;
+            });
+    }
+}
+
+/**
+ * Normalize a list of entry points to a map of chunk names and files.
+ * @param {Array<string|File>|Object} input A list of files or a map of chunk names and files.
+ * @return {Object<string, File>}
+ */
+function createEntries(input) {
+    const entries = {};
+    if (Array.isArray(input)) {
+        input.forEach((file) => {
+            file = typeof file === 'string' ? new File(file) : file;
+            if (file.basename in entries) {
+                throw new Error(`duplicated entry name "${file.basename}", use an object to specify chunk names`);
+            }
+            entries[file.basename] = file;
+        });
+    } else {
+        for (let name in input) {
+            entries[name] = typeof input[name] === 'string' ? new File(input[name]) : input[name];
+        }
+    }
+    if (!Object.keys(entries).length) {
+        throw new Error('missing entries to bundle');
+    }
+    return entries;
+}
+
+/**
+ * Name entry points after their path relative to the common directory of the files,
+ * so that preserved modules and declaration files keep the source tree structure.
+ * @param {Array<string|File>|Object} input A list of files or a map of chunk names and files.
+ * @return {Object<string, File>}
+ */
+function createPreservedEntries(input) {
+    const files = (Array.isArray(input) ? input : Object.values(input))
+        .map((file) => (typeof file === 'string' ? new File(file) : file));
+    if (!files.length) {
+        throw new Error('missing entries to bundle');
+    }
+    const root = files
+        .map((file) => file.dirname)
+        .reduce((common, dirname) => {
+            while (dirname !== common && dirname.indexOf(`${common}${path.sep}`) !== 0) {
+                common = path.dirname(common);
+            }
+            return common;
+        });
+    return files.reduce((map, file) => Object.assign(map, {
+        [path.relative(root, path.join(file.dirname, file.basename)).replace(/\\/g, '/')]: file,
+    }), {});
+}
+
+/**
+ * Get the output path of a preserved module which is not an entry point, relative to the modules directory.
+ * Modules are named after their path in the project, dependencies after their path in the `node_modules`.
+ * @param {string} id The module id.
+ * @param {Project} project The project of the build.
+ * @return {string|null} The path without extension, or null for virtual modules.
+ */
+function getPreservedModuleName(id, project) {
+    if (!id || !path.isAbsolute(id)) {
+        return null;
+    }
+    const nodeModulesIndex = id.lastIndexOf(`${path.sep}node_modules${path.sep}`);
+    let fileName = id.slice(nodeModulesIndex + 1);
+    if (nodeModulesIndex === -1) {
+        fileName = path.relative(project.path, id);
+        if (fileName.indexOf('..') === 0) {
+            fileName = id.replace(path.parse(id).root, '');
+        }
+    }
+    return fileName.replace(/\\/g, '/').replace(/\.[^./]+$/, '');
+}
+
+/**
+ * Describe the user customization of a tool for the cache key.
+ * Functions are described by their source code.
+ * @param {Object|Function} custom The customization.
+ * @return {string|null}
+ */
+function describeCustomization(custom) {
+    if (!custom) {
+        return null;
+    }
+    try {
+        return JSON.stringify(custom, (key, value) => (typeof value === 'function' ? value.toString() : value));
+    } catch (error) {
+        // plugin instances can be circular: describe them by name.
+        const describePlugin = (plugin) => {
+            if (Array.isArray(plugin)) {
+                return describePlugin(plugin[0]);
+            }
+            if (typeof plugin === 'string') {
+                return plugin;
+            }
+            return (plugin && (plugin.name || (plugin.constructor && plugin.constructor.name))) || null;
+        };
+        return JSON.stringify(Object.keys(custom)
+            .reduce((map, key) => Object.assign(map, { [key]: [].concat(custom[key]).map(describePlugin) }), {}));
+    }
+}
+
+/**
+ * Lock files of the supported package managers, and the metadata they write in the `node_modules` on install.
+ * @type {Array<string>}
+ */
+const LOCK_FILES = [
+    'package-lock.json',
+    'npm-shrinkwrap.json',
+    'yarn.lock',
+    'pnpm-lock.yaml',
+    'node_modules/.package-lock.json',
+    'node_modules/.yarn-integrity',
+    'node_modules/.modules.yaml',
+];
+
+/**
+ * Descriptions of the installed dependencies, by project path.
+ * Files are hashed once per process.
+ * @type {Object<string, Array<string>>}
+ */
+const DEPENDENCIES_DESCRIPTIONS = {};
+
+/**
+ * Describe the installed dependencies of a project for the cache revision, using the hashes of the package.json
+ * and lock files of the project and of its monorepo root.
+ * Cached modules keep the resolution of their imports, so they must be invalidated when packages are installed or removed.
+ * @param {Directory} project The project.
+ * @return {Array<string>}
+ */
+function describeDependencies(project) {
+    if (!project) {
+        return [];
+    }
+    if (DEPENDENCIES_DESCRIPTIONS[project.path]) {
+        return DEPENDENCIES_DESCRIPTIONS[project.path];
+    }
+    const hashes = DEPENDENCIES_DESCRIPTIONS[project.path] = [];
+    let current = project;
+    while (current) {
+        ['package.json', ...LOCK_FILES]
+            .map((fileName) => current.file(fileName))
+            .filter((file) => file.exists())
+            .forEach((file) => {
+                hashes.push(file.hash);
             });
+        current = current instanceof Project ? current.parent : null;
     }
+    return hashes;
+}
+
+/**
+ * Create the manifest of the chunks generated by a code splitting build.
+ * For each entry point, it lists the file name and the chunks to load.
+ * @param {Array} files The Rollup output files.
+ * @param {string} [base] The directory of the manifest, relative to the Rollup output directory.
+ * @return {Object}
+ */
+function createChunksManifest(files, base = '') {
+    const toManifestPath = (fileName) => path.posix.relative(base, fileName);
+    const chunks = files.filter((file) => file.type === 'chunk');
+    const collectImports = (chunk, imports = []) => {
+        chunk.imports.forEach((fileName) => {
+            if (imports.indexOf(fileName) !== -1) {
+                return;
+            }
+            imports.push(fileName);
+            const child = chunks.find((file) => file.fileName === fileName);
+            if (child) {
+                collectImports(child, imports);
+            }
+        });
+        return imports;
+    };
+
+    return chunks
+        .filter((chunk) => chunk.isEntry)
+        .reduce((manifest, chunk) => {
+            manifest[chunk.name] = {
+                file: toManifestPath(chunk.fileName),
+                imports: collectImports(chunk).map(toManifestPath),
+                dynamicImports: chunk.dynamicImports.map(toManifestPath),
+            };
+            return manifest;
+        }, {});
+}
+
+/**
+ * Map the logical paths of entry chunks and emitted assets to their content-hashed paths.
+ * @param {Array} files The Rollup output files.
+ * @param {File} input The main input of the bundle.
+ * @param {File|Directory} output The output of the bundle.
+ * @param {Directory} [baseDir] The Rollup output directory, when it is not the output directory.
+ * @return {Object<string, string>}
+ */
+function createAssetsMap(files, input, output, baseDir) {
+    const outputDir = output.extname ? output.parent : output;
+    baseDir = baseDir || outputDir;
+    return files.reduce((assets, file) => {
+        if (file.type === 'asset' && file.name) {
+            assets[outputDir.file(file.name).path] = baseDir.file(file.fileName).path;
+        } else if (file.type === 'chunk' && file.isEntry) {
+            const logicalFile = (output.extname && file.facadeModuleId === input.path) ? output : outputDir.file(`${file.name}.js`);
+            assets[logicalFile.path] = baseDir.file(file.fileName).path;
+        }
+        return assets;
+    }, {});
 }
 
 class ScriptBundler extends Bundler {
@@ -102,6 +377,44 @@ class ScriptBundler extends Bundler {
         return `\n${lines.join('\n')}\n`;
     }
 
+    /**
+     * Render the bundle analysis as a self-contained HTML treemap, with modules grouped by package.
+     * @param {Object} analysis Analysis data.
+     * @param {string} title The name of the bundle.
+     * @return {string}
+     */
+    static formatBundleAnalysisHTML(analysis, title) {
+        return treemap(analysis, title);
+    }
+
+    /**
+     * Create the loader of a differential build.
+     * It loads the module build in browsers which support ES modules, and the legacy build in the other ones.
+     * Urls are resolved from the url of the loader script.
+     * @param {string} moduleUrl The url of the module build, relative to the loader.
+     * @param {string} legacyUrl The url of the legacy build, relative to the loader.
+     * @param {string} [name] The global name of the legacy bundle, to assign with the exports of the module build.
+     * @return {string}
+     */
+    static createDifferentialLoader(moduleUrl, legacyUrl, name) {
+        const exportsCode = name ?
+            `'var k = Object.keys(m); window[' + ${JSON.stringify(JSON.stringify(name))} + '] = k.length === 1 && k[0] === "default" ? m.default : m;'` :
+            '\'\'';
+        return `(function() {
+    var current = document.currentScript;
+    var base = current ? current.src.split(/[?#]/)[0].replace(/[^/]*$/, '') : '';
+    var script = document.createElement('script');
+    if ('noModule' in script) {
+        script.type = 'module';
+        script.textContent = 'import * as m from ' + JSON.stringify(base + ${JSON.stringify(moduleUrl)}) + ';' + ${exportsCode};
+    } else {
+        script.src = base + ${JSON.stringify(legacyUrl)};
+    }
+    document.head.appendChild(script);
+}());
+`;
+    }
+
     /**
      * @inheritdoc
      */
@@ -117,7 +430,29 @@ class ScriptBundler extends Bundler {
             throw new Error(`missing "root" option for ${this.name} when using "code"`);
         }
 
-        if (typeof input === 'string') {
+        if (options.preserveModules && (typeof input === 'string' || input instanceof File)) {
+            options.input = input = [input];
+        }
+        if (Array.isArray(input) || (input && typeof input === 'object' && !(input instanceof File))) {
+            // multiple entry points: bundle them together and split shared code in chunks.
+            if (options.preserveModules) {
+                // every module is written to its own file, entry points in the directory structure of the sources.
+                options.entries = input = createPreservedEntries(input);
+            } else {
+                options.entries = input = createEntries(input);
+            }
+            options.input = input = Object.values(input)[0];
+            if (!output || output.extname || (typeof output === 'string' && path.extname(output))) {
+                throw new Error(`"output" option must be a directory when using multiple inputs for ${this.name}`);
+            }
+            if (!format) {
+                options.format = format = 'esm';
+            } else if (options.preserveModules && ['es', 'esm', 'cjs'].indexOf(format) === -1) {
+                throw new Error(`preserved modules require the "esm" or "cjs" format for ${this.name}`);
+            } else if (!options.preserveModules && ['es', 'esm', 'system'].indexOf(format) === -1) {
+                throw new Error(`multiple inputs require the "esm" or "system" format for ${this.name}`);
+            }
+        } else if (typeof input === 'string') {
             options.input = input = new File(input);
         } else if (code && !input) {
             let tmpName = `${root.basename}-${Date.now()}-${Math.floor(Math.random() * 1000)}.js`;
@@ -130,15 +465,66 @@ class ScriptBundler extends Bundler {
                 options.output = output = new Directory(output);
             }
         }
+        if (!options.name) {
+            // the global name of UMD and IIFE bundles.
+            options.name = camelize(output ? output.path : input.path);
+        }
         if (typeof root === 'string') {
             options.root = root = new Directory(root);
         } else if (!root) {
             options.root = root = Project.getProject(input);
         }
+        if (options.differential) {
+            if (!output || !output.extname || (format && ['umd', 'iife'].indexOf(format) === -1)) {
+                throw new Error(`differential builds require a file "output" and the "umd" or "iife" format for ${this.name}`);
+            }
+            // the module bundle is written along the legacy one.
+            options.moduleOutput = output.parent.file(`${output.basename}.module.js`);
+            // the legacy bundle is transpiled from the code of the module bundle, without resolving the modules again.
+            this.legacyOptions = Object.assign({}, options, {
+                differential: false,
+                format: format || 'umd',
+                root,
+                lint: false,
+                analyze: false,
+                typings: false,
+                cache: false,
+                cacheDirectory: null,
+                jsx: false,
+                assertions: false,
+                coverage: false,
+            });
+            if (!this.legacyBundler) {
+                this.legacyBundler = new ScriptBundler();
+                this.listenBundler(this.legacyBundler);
+            }
+        }
+        if (typeof options.cacheDirectory === 'string' || options.cacheDirectory instanceof Directory) {
+            options.cacheDirectory = getBuildCache(options.cacheDirectory);
+        }
 
-        const tsconfig = Project.getTSConfig(input);
+        if (options.minify == null) {
+            // production builds are minified by default.
+            options.minify = !!options.production;
+        }
+        if (options.optimizeImages == null) {
+            // production builds recompress images by default.
+            options.optimizeImages = !!options.production;
+        }
+        const tsconfig = options.tsconfig = Project.getTSConfig(input);
+        if (!(options.alias instanceof Alias)) {
+            // project aliases have precedence over TypeScript paths.
+            options.alias = new Alias(root, tsconfig && Alias.fromTSConfig(tsconfig), options.alias);
+        }
         const targets = Targets.parse(options.targets);
-        const project = (input && Project.getProject(input)) || root || new Project(process.cwd());
+        const project = this.project = (input && Project.getProject(input)) || root || new Project(process.cwd());
+        if (!(options.define instanceof Define)) {
+            options.define = new Define(project, {
+                mode: options.mode,
+                production: options.production,
+                define: options.define,
+            });
+        }
         const cjsCache = new Map();
         const babelConfig = {
             include: /\.(mjs|js|jsx|ts|tsx)$/,
@@ -147,7 +533,7 @@ class ScriptBundler extends Bundler {
             inputSourceMap: !!coverage,
             presets: [
                 [require('@babel/preset-env'), {
-                    targets: format === 'esm' ?
+                    targets: (format === 'esm' || options.differential) ?
                         { esmodules: true } :
                         targets.toObject(),
                     corejs: {
@@ -185,7 +571,10 @@ class ScriptBundler extends Bundler {
                 require('@babel/plugin-proposal-private-methods'),
                 require('@babel/plugin-proposal-nullish-coalescing-operator'),
                 require('@babel/plugin-proposal-optional-chaining'),
-                require('babel-plugin-transform-inline-environment-variables'),
+                [require('./plugins/babel-plugin-define/babel-plugin-define'), {
+                    definitions: options.define.definitions,
+                    env: options.define.env,
+                }],
                 jsx !== false && require('./plugins/babel-plugin-jsx-template/babel-plugin-jsx-template'),
                 jsx !== false && [require('babel-plugin-htm'), {
                     pragma: options.jsx && options.jsx.pragma || 'IDOM.h',
@@ -215,6 +604,20 @@ class ScriptBundler extends Bundler {
                 }],
             ].filter(Boolean),
         };
+        // like Babel, the root `babel.config.js` is always loaded, while `.babelrc` files are merged only when requested.
+        const babelConfigOptions = options.babelrc ? {
+            babelrc: true,
+            cwd: project.path,
+            root: project.path,
+            rootMode: 'upward-optional',
+        } : {
+            babelrc: false,
+        };
+        Object.assign(babelConfig, babelConfigOptions);
+        const partialConfig = require('@babel/core').loadPartialConfig(Object.assign({
+            filename: input.path,
+        }, babelConfigOptions));
+        options.babelConfigFiles = partialConfig ? [partialConfig.config, partialConfig.babelrc].filter(Boolean) : [];
 
         const plugins = [
             {
@@ -232,13 +635,15 @@ class ScriptBundler extends Bundler {
                         return;
                     }
                     if (id === input.path) {
-                        return code;
+                        return options.inputMap ? { code, map: options.inputMap } : code;
                     }
                 },
 
                 renderChunk(code, chunk) {
-                    if (chunk.facadeModuleId === input.path) {
-                        if (output && output.extname) {
+                    if (chunk.facadeModuleId === input.path && !options.hash) {
+                        if (options.differential) {
+                            chunk.fileName = options.moduleOutput.name;
+                        } else if (output && output.extname) {
                             chunk.fileName = output.name;
                         }
                     }
@@ -268,6 +673,7 @@ class ScriptBundler extends Bundler {
             }) : {},
             /** PLUGINS THAT HAVE EFFECTS ON IMPORT HANDLING */
             polyfill(),
+            alias(options.alias),
             nodeResolve({
                 mainFields: ['module', 'jsnext', 'jsnext:main', 'main'],
                 extensions: [`.${format}.js`, `.${format}.jsx`, `.${format}.ts`, `.${format}.tsx`, '.mjs', '.js', '.ts', '.tsx', '.json', '.node'],
@@ -290,6 +696,8 @@ class ScriptBundler extends Bundler {
                     /\.(mjs|js|jsx|ts|tsx|po|json|geojson|txt|md|html|htm|css|scss|sass)$/,
                 ],
                 include: [],
+                optimize: options.optimizeImages,
+                inlineLimit: options.inlineLimit,
             }),
             html({
                 format,
@@ -307,6 +715,10 @@ class ScriptBundler extends Bundler {
                 root: root || input.parent,
                 output: output && output.extname ? output.parent : output,
                 targets: options.targets,
+                alias: options.alias,
+                postcss: options.postcss,
+                optimizeImages: options.optimizeImages,
+                inlineLimit: options.inlineLimit,
             }),
             /** PLUGINS THAT HAVE EFFECTS ON TRANSPILING AND CODE IN GENERAL */
             (tsconfig && !coverage) ? typescript({
@@ -314,12 +726,12 @@ class ScriptBundler extends Bundler {
                 jsx: 'preserve',
                 tsconfig: tsconfig.path,
             }) : {},
-            babel(babelConfig),
+            babel(this.customize('babel', babelConfig, options)),
             sourcemaps(),
             worker(),
             /** FINALIZERS */
             options.sw ? sw(options.sw) : {},
-            options.production ? terser({
+            options.minify ? terser({
                 mangle: {
                     eval: false,
                     keep_classnames: true,
@@ -337,11 +749,31 @@ class ScriptBundler extends Bundler {
 
         options.format = options.format || 'umd';
         options.plugins = plugins;
+        if (typeof options.globals === 'string') {
+            // `react:React,react-dom:ReactDOM`
+            options.globals = options.globals.split(',').reduce((map, entry) => {
+                const [name, global] = entry.split(':');
+                return Object.assign(map, { [name.trim()]: (global || '').trim() });
+            }, {});
+        }
+        if (typeof options.external === 'string') {
+            options.external = options.external.split(',').map((name) => name.trim());
+        }
+        const isExternal = createExternalFilter(options.external, options.globals);
+        // resolved ids are cached along the transformed modules.
+        options.externals = typeof options.external === 'function' ? null : [
+            ...(Array.isArray(options.external) ? options.external : [options.external]).filter(Boolean).map(String),
+            ...Object.keys(options.globals || {}),
+        ];
         options.external = (id) => {
             if (id.match(/^https?:\/\//)) {
                 return true;
             }
 
+            if (isExternal(id)) {
+                return true;
+            }
+
             const { format, bundle } = this.options;
             if (!bundle && format !== 'umd' && format !== 'iife' && !path.isAbsolute(id) && !id.match(/\.\.?\//)) {
                 // do not include node modules
@@ -368,20 +800,58 @@ class ScriptBundler extends Bundler {
     async build(...invalidate) {
         await super.build(...invalidate);
 
-        const { input, output, root, code, map, typings, format, cache, vendors } = this.options;
+        const { input, entries, output, root, code, map, typings, format, cache, vendors, differential } = this.options;
+        // differential builds generate the module bundle from the modules graph.
+        const entryOutput = differential ? this.options.moduleOutput : output;
+        const sharedCache = (cache && typeof cache === 'object') ? cache : null;
+        const buildCache = cache !== false ? this.options.cacheDirectory : null;
+        const cacheKey = JSON.stringify([
+            version,
+            this.project && this.project.path,
+            format,
+            this.options.targets,
+            this.options.jsx,
+            this.options.coverage,
+            this.options.assertions,
+            this.options.bundle,
+            this.options.differential,
+            this.options.tsconfig && this.options.tsconfig.path,
+            this.options.externals,
+            this.options.alias,
+            this.options.define,
+            this.options.optimizeImages,
+            this.options.inlineLimit,
+            describeCustomization(this.options.rollup),
+            describeCustomization(this.options.babel),
+            describeCustomization(this.options.postcss),
+            (this.options.babelConfigFiles || []).map((fileName) => readFileSync(fileName, 'utf8')),
+        ]);
+        const cacheRevision = JSON.stringify(describeDependencies(this.project));
 
         this.emit(ScriptBundler.BUNDLE_START, input, code);
         this.emit(ScriptBundler.BUILD_START, input, code);
 
         try {
-            if (!code && input && !input.exists()) {
-                throw new Error(`missing "input" file ${root.relative(input)} for ${this.name}`);
-            }
+            const inputs = entries ? Object.values(entries) : [input];
+            inputs.forEach((file) => {
+                if (!code && file && !file.exists()) {
+                    throw new Error(`missing "input" file ${root.relative(file)} for ${this.name}`);
+                }
+            });
 
             const oldFiles = this.result && this.result.outputFiles || [];
-            const config = {
-                input: input.path,
-                cache: (this.result && this.result.cache) || (cache !== false && createCache(format)),
+            let initialCache = this.result && this.result.cache;
+            if (!initialCache && cache !== false) {
+                initialCache = createCache(
+                    buildCache ? buildCache.load(cacheKey, cacheRevision) : {},
+                    sharedCache ? sharedCache[cacheKey] : DEPENDENCIES_CACHE[format]
+                );
+            }
+            let config = {
+                input: entries ?
+                    Object.keys(entries).reduce((map, name) => Object.assign(map, { [name]: entries[name].path }), {}) :
+                    input.path,
+                cache: initialCache || false,
                 plugins: this.options.plugins || [],
                 external: this.options.external,
                 inlineDynamicImports: format === 'umd' || format === 'iife' || !!this.options.sw,
@@ -400,7 +870,7 @@ class ScriptBundler extends Bundler {
                 // perf: true,
             };
 
-            if (vendors) {
+            if (vendors && !this.options.preserveModules) {
                 config.manualChunks = function(id) {
                     if (id.includes('node_modules') && id.match(/\.(js|jsx|mjs|ts|tsx)$/)) {
                         return 'vendor';
@@ -409,22 +879,57 @@ class ScriptBundler extends Bundler {
             }
 
             const configOutput = config.output = {
-                name: format !== 'system' && (this.options.name || camelize(output ? output.path : input.path)),
-                format,
+                name: format !== 'system' && this.options.name,
+                format: differential ? 'esm' : format,
                 sourcemap: (typeof map === 'string') ? map : (map !== false),
                 strict: false,
                 indent: false,
                 assetFileNames: '[name][extname]',
                 minifyInternalExports: true,
+                globals: this.options.globals || {},
             };
 
+            if (entries) {
+                configOutput.entryFileNames = '[name].js';
+                configOutput.chunkFileNames = '[name]-[hash].js';
+            }
+
+            if (this.options.hash) {
+                configOutput.entryFileNames = (chunk) => {
+                    if (entryOutput && entryOutput.extname && chunk.facadeModuleId === input.path) {
+                        return `${entryOutput.basename}-[hash]${entryOutput.extname}`;
+                    }
+                    return '[name]-[hash].js';
+                };
+                configOutput.chunkFileNames = '[name]-[hash].js';
+                configOutput.assetFileNames = '[name]-[hash][extname]';
+            }
+
             if (output && output.extname) {
                 configOutput.dir = output.parent.path;
             } else if (output && !output.extname) {
                 configOutput.dir = output.path;
             }
 
-            this.config = config;
+            if (this.options.preserveModules) {
+                // every module is written to its own chunk, but only entry points are written to the output directory,
+                // which is usually exported by a wildcard subpath: the other modules are written to a sibling directory.
+                const entryIds = Object.values(entries).map((file) => file.path);
+                const fileNames = this.options.hash ? '[name]-[hash].js' : '[name].js';
+                config.manualChunks = (id) => {
+                    if (entryIds.indexOf(id) === -1) {
+                        return getPreservedModuleName(id, this.project);
+                    }
+                };
+                configOutput.dir = output.parent.path;
+                configOutput.entryFileNames = `${output.name}/${fileNames}`;
+                configOutput.chunkFileNames = `${output.name}-modules/${fileNames}`;
+                configOutput.assetFileNames = `${output.name}/${configOutput.assetFileNames}`;
+                // keep the export names of the modules.
+                configOutput.minifyInternalExports = false;
+            }
+
+            config = this.config = this.customize('rollup', config);
             this.result = await rollup(config);
             this.result.outputFiles = oldFiles;
             this.addResources(...this.result.watchFiles
@@ -432,10 +937,21 @@ class ScriptBundler extends Bundler {
                 .map((fileName) => realpathSync(fileName))
             );
 
-            const { output: files } = await this.result.generate(configOutput);
+            const { output: files } = await this.result.generate(config.output);
             this.result.code = files[0].code;
-            if (typings) {
-                const typingsFile = output.parent.file(`${output.basename}.d.ts`);
+            if (entries) {
+                this.result.manifest = createChunksManifest(files, this.options.preserveModules ? output.name : '');
+            }
+            if (this.options.hash && output) {
+                this.result.assets = createAssetsMap(files, input, entryOutput, this.options.preserveModules ? output.parent : null);
+            }
+            if (typings && entries) {
+                for (let name in entries) {
+                    const sourceFile = bundle(entries[name].path);
+                    output.file(`${name}.d.ts`).write(createPrinter().printFile(sourceFile));
+                }
+            } else if (typings) {
+                const typingsFile = typeof typings === 'string' ? new File(typings) : output.parent.file(`${output.basename}.d.ts`);
                 if (!typingsFile) {
                     this.emit(ScriptBundler.WARN_EVENT, 'missing output path for typings. Add the `types` field in your package.json. Read more here https://www.typescriptlang.org/docs/handbook/declaration-files/publishing.html');
                 } else {
@@ -445,11 +961,28 @@ class ScriptBundler extends Bundler {
                 }
             }
 
-            if (this.result.cache && cache !== false) {
-                cacheDependencies(format, this.result.cache);
+            if (this.result.cache && buildCache) {
+                buildCache.save(cacheKey, this.result.cache.modules, cacheRevision);
+            }
+            if (this.result.cache && sharedCache) {
+                cacheModules(sharedCache, cacheKey, this.result.cache);
+            } else if (this.result.cache && cache !== false) {
+                cacheModules(DEPENDENCIES_CACHE, format, this.result.cache, ({ id }) => id.indexOf('/node_modules/') !== -1);
+            }
+
+            if (differential) {
+                await this.legacyBundler.setup(Object.assign({}, this.legacyOptions, {
+                    code: files[0].code,
+                    inputMap: files[0].map,
+                }));
+                await this.legacyBundler.build();
             }
 
             const plugins = this.options.plugins || [];
+            const dependencyPlugin = plugins.find((p) => p.name === 'rollup-plugin-dependency-check');
+            if (dependencyPlugin) {
+                this.result.dependencies = dependencyPlugin.dependencies;
+            }
             const plugin = plugins.find((p) => p.name === 'eslint');
             if (plugin) {
                 const eslinter = plugin.linter;
@@ -490,12 +1023,28 @@ class ScriptBundler extends Bundler {
         this.result.outputFiles = outputResult.output
             .filter((out) => out.fileName)
             .map((out) => {
-                if (output.extname) {
+                if (output.extname || this.options.preserveModules) {
                     return output.parent.file(out.fileName);
                 }
                 return output.file(out.fileName);
             });
 
+        // preserved modules do not need a manifest to be loaded, unless it is explicitly requested.
+        if (this.options.entries && (this.options.preserveModules ? this.options.manifest : this.options.manifest !== false)) {
+            const manifestFile = output.file(typeof this.options.manifest === 'string' ? this.options.manifest : 'chunks-manifest.json');
+            manifestFile.writeJson(this.result.manifest);
+            this.result.outputFiles.push(manifestFile);
+        }
+
+        if (this.result.assets) {
+            this.result.outputFiles.push(this.updateAssetsManifest(output.extname ? output.parent : output, this.result.assets));
+        }
+
+        if (this.options.differential) {
+            await this.legacyBundler.write();
+            this.result.outputFiles.push(this.writeDifferentialLoader());
+        }
+
         oldFiles
             .filter((file) => !this.result.outputFiles.some((outFile) => outFile.path === file.path))
             .forEach((file) => {
@@ -513,6 +1062,24 @@ class ScriptBundler extends Bundler {
         await super.write();
         return outputResult;
     }
+
+    /**
+     * Write the loader of a differential build, next to the legacy bundle.
+     * @private
+     * @return {File} The loader file.
+     */
+    writeDifferentialLoader() {
+        const { output, moduleOutput, name } = this.options;
+        const loaderFile = output.parent.file(`${output.basename}.loader.js`);
+        // resolve content hashed names.
+        const resolveOutput = (result, file) => ((result.assets && result.assets[file.path]) ? new File(result.assets[file.path]) : file);
+        loaderFile.write(ScriptBundler.createDifferentialLoader(
+            loaderFile.parent.relative(resolveOutput(this.result, moduleOutput)),
+            loaderFile.parent.relative(resolveOutput(this.legacyBundler.result, output)),
+            name
+        ));
+        return loaderFile;
+    }
 }
 
 module.exports = ScriptBundler;
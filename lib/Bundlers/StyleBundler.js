@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const postcss = require('postcss');
 const autoprefixer = require('autoprefixer');
 const unset = require('postcss-all-unset');
@@ -12,10 +13,37 @@ const copy = require('./plugins/postcss-copy/postcss-copy');
 const { File, Directory, Project } = require('../File');
 const Bundler = require('./Bundler');
 const Targets = require('../Targets');
+const Alias = require('../Alias');
 const stylelintPlugin = require('./plugins/postcss-stylelint-plugin/postcss-stylelint-plugin');
 const sass = require('./plugins/postcss-dart-sass/postcss-dart-sass');
 const sassSyntax = require('postcss-scss');
 
+/**
+ * Find the file of an aliased style import.
+ * @param {Array<string>} candidates The alias candidates.
+ * @return {string|null} The resolved path, or the first module name.
+ */
+function resolveAlias(candidates) {
+    for (let i = 0; i < candidates.length; i++) {
+        const candidate = candidates[i];
+        if (!path.isAbsolute(candidate)) {
+            // let postcss-import resolve the module.
+            return candidate;
+        }
+        const fileName = [
+            candidate,
+            `${candidate}.css`,
+            `${candidate}.scss`,
+            `${candidate}.sass`,
+            path.join(candidate, 'index.css'),
+        ].find((file) => fs.existsSync(file) && fs.statSync(file).isFile());
+        if (fileName) {
+            return fileName;
+        }
+    }
+    return null;
+}
+
 class StyleBundler extends Bundler {
     /**
      * @inheritdoc
@@ -53,22 +81,38 @@ class StyleBundler extends Bundler {
             options.root = root = Project.getProject(input);
         }
 
+        if (!(options.alias instanceof Alias)) {
+            const tsconfig = input && Project.getTSConfig(input);
+            // project aliases have precedence over TypeScript paths.
+            options.alias = new Alias(root, tsconfig && Alias.fromTSConfig(tsconfig), options.alias);
+        }
+
         await super.setup(options);
 
         const plugins = options.plugins || [];
         const targets = Targets.parse(options.targets);
+        const alias = options.alias;
 
         plugins.push(
             sass({
                 omitSourceMapUrl: true,
                 sourceMapContents: true,
                 sourceMapEmbed: false,
+                alias,
+            }),
+            postcssImport({
+                resolve: (id) => {
+                    const candidates = alias.resolve(id);
+                    return (candidates && resolveAlias(candidates)) || id;
+                },
             }),
-            postcssImport(),
             copy({
                 basePath: (root && root.path) || input.dirname,
                 dest: output && (output.extname ? output.dirname : output.path),
                 handler: options.handleAssets,
+                hash: options.hash,
+                optimizeImages: options.optimizeImages != null ? options.optimizeImages : options.production,
+                inlineLimit: options.inlineLimit,
             }),
             autoprefixer({
                 overrideBrowserslist: targets.toQuery(),
@@ -86,7 +130,7 @@ class StyleBundler extends Bundler {
             }),
         );
 
-        if (this.options.production) {
+        if (this.options.minify != null ? this.options.minify : this.options.production) {
             plugins.push(
                 cssnano({
                     preset: ['default', {
@@ -131,7 +175,8 @@ class StyleBundler extends Bundler {
             }
 
             const data = code || input.read();
-            const config = {
+            const { plugins, ...config } = this.customize('postcss', {
+                plugins: this.options.plugins || [],
                 from: (input && input.path) || root.file('a.css').path,
                 to: output && (output.extname ? output.path : output.file('style.css').path),
                 syntax: this.options.syntax,
@@ -140,9 +185,9 @@ class StyleBundler extends Bundler {
                     inline: map === 'inline',
                     sourcesContent: true,
                 } : false,
-            };
+            });
 
-            this.result = await postcss(this.options.plugins || []).process(data, config);
+            this.result = await postcss(plugins || []).process(data, config);
             this.result.code = this.result.css.toString();
 
             const dependencies = this.result.messages
@@ -151,6 +196,20 @@ class StyleBundler extends Bundler {
                 .map(({ file }) => fs.realpathSync(file));
             this.addResources(...dependencies);
 
+            if (this.options.hash && output && output.extname) {
+                const hash = crypto.createHash('sha256').update(this.result.code).digest('hex').slice(0, 8);
+                this.result.assets = {
+                    [output.path]: output.parent.file(`${output.basename}-${hash}${output.extname}`).path,
+                };
+                if (!this.options.handleAssets) {
+                    this.result.messages
+                        .filter(({ type, plugin }) => type === 'asset' && plugin === 'postcss-copy-plugin')
+                        .forEach(({ file, url }) => {
+                            this.result.assets[output.parent.file(path.basename(file)).path] = output.parent.file(url).path;
+                        });
+                }
+            }
+
             if (this.result.linter) {
                 const stylelinter = this.result.linter;
                 this.linter.merge(stylelinter.result);
@@ -174,10 +233,15 @@ class StyleBundler extends Bundler {
      * @inheritdoc
      */
     async write() {
-        const { output, map } = this.options;
+        const { map } = this.options;
+        let output = this.options.output;
         if (!output || !output.extname) {
             return;
         }
+        const assets = this.result.assets;
+        if (assets) {
+            output = new File(assets[output.path]);
+        }
         const externalMapFile = map !== false && map !== 'inline' && this.result.map;
         let content = this.result.code;
 
@@ -186,6 +250,14 @@ class StyleBundler extends Bundler {
         if (output && output.exists() && output.isFile() && output.mapFile.exists()) {
             output.mapFile.unlink();
         }
+        if (this.outputFile && this.outputFile.path !== output.path && this.outputFile.exists()) {
+            // remove the previous hashed file.
+            if (this.outputFile.mapFile.exists()) {
+                this.outputFile.mapFile.unlink();
+            }
+            this.outputFile.unlink();
+        }
+        this.outputFile = output;
 
         if (externalMapFile) {
             content += `\n/*# sourceMappingURL=${output.name}.map */`;
@@ -201,6 +273,10 @@ class StyleBundler extends Bundler {
                 });
         }
 
+        if (assets) {
+            this.emit(StyleBundler.WRITE_PROGRESS, this.updateAssetsManifest(output.parent, assets));
+        }
+
         this.emit(StyleBundler.WRITE_END);
         await super.write();
         return output;
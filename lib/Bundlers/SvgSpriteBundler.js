@@ -0,0 +1,217 @@
+const path = require('path');
+const { File, Directory, Project } = require('../File');
+const Bundler = require('./Bundler');
+
+/**
+ * Parse the attributes of a XML tag.
+ * @param {string} str The attributes string.
+ * @return {Object<string, string>}
+ */
+function parseAttributes(str) {
+    const attributes = {};
+    const regex = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = regex.exec(str))) {
+        attributes[match[1]] = match[2] != null ? match[2] : match[3];
+    }
+    return attributes;
+}
+
+/**
+ * Escape a value for a XML attribute.
+ * @param {string} value The value to escape.
+ * @return {string}
+ */
+function escapeAttribute(value) {
+    return `${value}`.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Bundle a set of SVG icons in a sprite of `<symbol>` elements.
+ * Icons are referenced by their file name, relative to the input directory (eg `arrows/left.svg` -> `arrows-left`):
+ * ```html
+ * <svg><use href="icons.svg#arrows-left"></use></svg>
+ * ```
+ */
+class SvgSpriteBundler extends Bundler {
+    /**
+     * Collect the ids of the symbols of a sprite.
+     * @param {string} code The SVG sprite code.
+     * @return {Array<string>}
+     */
+    static getSymbols(code) {
+        const symbols = [];
+        const regex = /<symbol\b([^>]*)>/g;
+        let match;
+        while ((match = regex.exec(code))) {
+            const { id } = parseAttributes(match[1]);
+            if (id) {
+                symbols.push(id);
+            }
+        }
+        return symbols;
+    }
+
+    /**
+     * @inheritdoc
+     */
+    async setup(options = {}) {
+        options = Object.assign({
+            // the sprite options of the `build` command.
+            prefix: options['sprite.prefix'] || '',
+            optimize: options['sprite.optimize'] !== false,
+            module: options['sprite.module'],
+        }, options);
+
+        let { input, output, root } = options;
+        if (!input) {
+            throw new Error(`missing "input" option for ${this.name}`);
+        }
+        if (!output) {
+            throw new Error(`missing "output" option for ${this.name}`);
+        }
+
+        if (typeof input === 'string') {
+            options.input = input = new Directory(input);
+        } else if (input instanceof File) {
+            options.input = input = [input];
+        } else if (!(input instanceof Directory)) {
+            // a list of files, or a map of names and files.
+            options.input = input = Object.values(input).map((file) => (typeof file === 'string' ? new File(file) : file));
+        }
+        if (typeof output === 'string') {
+            options.output = output = new File(output);
+        }
+
+        if (typeof root === 'string') {
+            options.root = root = new Directory(root);
+        } else if (!root) {
+            options.root = root = Project.getProject(Array.isArray(input) ? input[0] : input);
+        }
+
+        if (options.module === true) {
+            // the ids module is written along the sprite.
+            options.module = output.parent.file(`${output.basename}.js`);
+        } else if (typeof options.module === 'string') {
+            options.module = root.file(options.module);
+        }
+
+        await super.setup(options);
+    }
+
+    /**
+     * @inheritdoc
+     */
+    async build(...invalidate) {
+        await super.build(...invalidate);
+
+        const { input, root, prefix, optimize } = this.options;
+        const files = Array.isArray(input) ? input : input.resolve('**/*.svg');
+        const base = Array.isArray(input) ? null : input;
+        if (!Array.isArray(input) && !input.exists()) {
+            throw new Error(`missing "input" directory ${root.relative(input)} for ${this.name}`);
+        }
+
+        this.emit(SvgSpriteBundler.BUNDLE_START, input);
+        this.emit(SvgSpriteBundler.BUILD_START, input);
+
+        try {
+            if (base) {
+                // new icons are collected when the directory changes.
+                this.addResources(base.path);
+            }
+            files.sort((file1, file2) => file1.path.localeCompare(file2.path));
+
+            const SVGO = optimize && require('svgo');
+            const symbols = [];
+            const ids = [];
+            for (let i = 0; i < files.length; i++) {
+                const file = files[i];
+                const name = base ? base.relative(file).replace(/\.svg$/i, '') : file.basename;
+                const id = `${prefix || ''}${name.split(path.sep).join('-').replace(/[^\w-]/g, '-')}`;
+                if (ids.includes(id)) {
+                    throw new Error(`duplicated icon id "${id}" for ${this.name}`);
+                }
+                this.addResources(file.path);
+
+                let code = file.read();
+                if (SVGO) {
+                    const svgo = new SVGO({
+                        plugins: [
+                            { removeViewBox: false },
+                            { removeDimensions: true },
+                            // avoid collisions between ids of gradients, masks and clip paths of different icons.
+                            { prefixIds: { prefix: id } },
+                        ],
+                    });
+                    ({ data: code } = await svgo.optimize(code, { path: file.path }));
+                }
+                const match = code
+                    .replace(/<\?xml[\s\S]*?\?>/g, '')
+                    .replace(/<!DOCTYPE[^>]*>/gi, '')
+                    .replace(/<!--[\s\S]*?-->/g, '')
+                    .match(/<svg\b([^>]*)>([\s\S]*)<\/svg>/);
+                if (!match) {
+                    this.emit(SvgSpriteBundler.WARN_EVENT, `invalid SVG file ${root.relative(file)}`);
+                    continue;
+                }
+                const attributes = parseAttributes(match[1]);
+                let viewBox = attributes.viewBox;
+                if (!viewBox && attributes.width && attributes.height) {
+                    viewBox = `0 0 ${parseFloat(attributes.width)} ${parseFloat(attributes.height)}`;
+                }
+                if (!viewBox) {
+                    this.emit(SvgSpriteBundler.WARN_EVENT, `missing viewBox for icon ${root.relative(file)}`);
+                }
+                const symbolAttributes = { id, viewBox, preserveAspectRatio: attributes.preserveAspectRatio };
+                const attributesString = Object.keys(symbolAttributes)
+                    .filter((key) => symbolAttributes[key])
+                    .map((key) => ` ${key}="${escapeAttribute(symbolAttributes[key])}"`)
+                    .join('');
+                symbols.push(`<symbol${attributesString}>${match[2].trim()}</symbol>`);
+                ids.push(id);
+            }
+
+            const xlink = symbols.some((symbol) => symbol.includes('xlink:'));
+            this.result = {
+                ids,
+                code: `<svg xmlns="http://www.w3.org/2000/svg"${xlink ? ' xmlns:xlink="http://www.w3.org/1999/xlink"' : ''}>${symbols.join('')}</svg>\n`,
+                module: `/**
+ * The ids of the icons of the sprite.
+ * @type {Array<string>}
+ */
+export const ids = ${JSON.stringify(ids, null, 4)};
+
+export default ids;
+`,
+            };
+
+            this.emit(SvgSpriteBundler.BUILD_END, input, null);
+            this.emit(SvgSpriteBundler.BUNDLE_END, this.result);
+
+            return this.result;
+        } catch (error) {
+            this.emit(SvgSpriteBundler.ERROR_EVENT, error);
+            throw error;
+        }
+    }
+
+    /**
+     * @inheritdoc
+     */
+    async write() {
+        const { output, module } = this.options;
+        this.emit(SvgSpriteBundler.WRITE_START);
+        output.write(this.result.code);
+        this.emit(SvgSpriteBundler.WRITE_PROGRESS, output);
+        if (module) {
+            module.write(this.result.module);
+            this.emit(SvgSpriteBundler.WRITE_PROGRESS, module);
+        }
+        this.emit(SvgSpriteBundler.WRITE_END);
+        await super.write();
+        return output;
+    }
+}
+
+module.exports = SvgSpriteBundler;
@@ -0,0 +1,113 @@
+/**
+ * Get the dotted name of an identifier or a member expression (eg `process.env.NODE_ENV`).
+ * @param {Object} types Babel types.
+ * @param {Object} node The node.
+ * @return {string|null}
+ */
+function getName(types, node) {
+    if (types.isIdentifier(node)) {
+        return node.name;
+    }
+    if (types.isMetaProperty(node)) {
+        return `${node.meta.name}.${node.property.name}`;
+    }
+    if (types.isMemberExpression(node) || types.isOptionalMemberExpression(node)) {
+        const object = getName(types, node.object);
+        if (!object) {
+            return null;
+        }
+        if (!node.computed && types.isIdentifier(node.property)) {
+            return `${object}.${node.property.name}`;
+        }
+        if (node.computed && types.isStringLiteral(node.property)) {
+            return `${object}.${node.property.value}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the root identifier of a member expression.
+ * @param {Object} types Babel types.
+ * @param {Object} node The node.
+ * @return {string|null}
+ */
+function getRootName(types, node) {
+    while (types.isMemberExpression(node) || types.isOptionalMemberExpression(node)) {
+        node = node.object;
+    }
+    return types.isIdentifier(node) ? node.name : null;
+}
+
+/**
+ * Check if an expression is written by an assignment.
+ * @param {NodePath} path The expression path.
+ * @return {boolean}
+ */
+function isAssigned(path) {
+    const parentPath = path.parentPath;
+    return (parentPath.isAssignmentExpression() && parentPath.get('left') === path) ||
+        parentPath.isUpdateExpression() ||
+        (parentPath.isUnaryExpression({ operator: 'delete' }));
+}
+
+/**
+ * Replace compile-time constants with their values.
+ * The `import.meta.env` object is replaced with the map of its constants.
+ * Other `process.env` references are replaced with the `env` variables, when set.
+ * Those variables are collected in the `env` metadata of the file (`null` when unset), in order to invalidate cached results.
+ */
+function definePlugin({ types }, { definitions = {}, env = {} }) {
+    const metaEnv = Object.keys(definitions)
+        .filter((name) => name.indexOf('import.meta.env.') === 0)
+        .reduce((map, name) => Object.assign(map, {
+            [name.replace('import.meta.env.', '')]: definitions[name],
+        }), {});
+
+    const replace = (path, value) => {
+        path.replaceWith(types.valueToNode(value));
+    };
+
+    return {
+        name: 'define',
+        visitor: {
+            Identifier(path) {
+                const name = path.node.name;
+                if (!Object.prototype.hasOwnProperty.call(definitions, name)) {
+                    return;
+                }
+                if (!path.isReferencedIdentifier() || path.scope.hasBinding(name, true) || isAssigned(path)) {
+                    return;
+                }
+                replace(path, definitions[name]);
+            },
+            'MemberExpression|OptionalMemberExpression'(path, state) {
+                const name = getName(types, path.node);
+                if (!name || isAssigned(path)) {
+                    return;
+                }
+                const rootName = getRootName(types, path.node);
+                if (rootName && path.scope.hasBinding(rootName, true)) {
+                    return;
+                }
+                if (Object.prototype.hasOwnProperty.call(definitions, name)) {
+                    replace(path, definitions[name]);
+                } else if (name === 'import.meta.env') {
+                    replace(path, metaEnv);
+                } else if (name.indexOf('process.env.') === 0 && name.split('.').length === 3) {
+                    const variable = name.replace('process.env.', '');
+                    const metadata = state.file.metadata;
+                    const hasVariable = Object.prototype.hasOwnProperty.call(env, variable);
+                    metadata.env = Object.assign(metadata.env || {}, {
+                        [variable]: hasVariable ? env[variable] : null,
+                    });
+                    if (hasVariable) {
+                        replace(path, env[variable]);
+                    }
+                }
+            },
+        },
+    };
+}
+
+module.exports = definePlugin;
@@ -0,0 +1,63 @@
+const path = require('path');
+const mime = require('mime-types');
+
+const INLINE_REGEX = /[?&]inline(&|$)/;
+const URL_REGEX = /[?&]url(&|$)/;
+
+/**
+ * Check if an asset reference uses the `?inline` or `?url` query params.
+ * @param {string} url The asset reference.
+ * @return {boolean}
+ */
+function hasInlineQuery(url) {
+    return INLINE_REGEX.test(url) || URL_REGEX.test(url);
+}
+
+/**
+ * Check if an asset should be inlined as data URI.
+ * The `?inline` and `?url` query params of the reference have precedence over the size limit.
+ * @param {string} url The asset reference.
+ * @param {number} size The size of the asset in bytes.
+ * @param {number} [limit] The max size of inlined assets.
+ * @return {boolean}
+ */
+function shouldInline(url, size, limit) {
+    if (URL_REGEX.test(url)) {
+        return false;
+    }
+    if (INLINE_REGEX.test(url)) {
+        return true;
+    }
+    const max = Number(limit);
+    return max > 0 && size <= max;
+}
+
+/**
+ * Convert a file to a data URI.
+ * SVG files are utf8 encoded, since they are smaller than base64 ones after compression.
+ * @param {string} fileName The file name.
+ * @param {Buffer} source The file contents.
+ * @return {string}
+ */
+function toDataUri(fileName, source) {
+    const type = mime.lookup(path.extname(fileName)) || 'application/octet-stream';
+    if (type === 'image/svg+xml') {
+        const code = source.toString('utf8').replace(/\s+/g, ' ').trim();
+        // escape quotes and parentheses too, which would break CSS urls.
+        const encoded = encodeURIComponent(code)
+            .replace(/%3D/g, '=')
+            .replace(/%3A/g, ':')
+            .replace(/%2F/g, '/')
+            .replace(/'/g, '%27')
+            .replace(/\(/g, '%28')
+            .replace(/\)/g, '%29');
+        return `data:${type},${encoded}`;
+    }
+    return `data:${type};base64,${source.toString('base64')}`;
+}
+
+module.exports = {
+    hasInlineQuery,
+    shouldInline,
+    toDataUri,
+};
@@ -1,17 +1,43 @@
-const { existsSync, promises: { copyFile, mkdir } } = require('fs');
+const { existsSync, promises: { mkdir, writeFile } } = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const postcss = require('postcss');
+const ImageBundler = require('../../ImageBundler');
+const { shouldInline, toDataUri } = require('../data-uri/data-uri');
+
+function getHashedName(fileName, source) {
+    const hash = crypto.createHash('sha256').update(source).digest('hex').slice(0, 8);
+    const extname = path.extname(fileName);
+    return `${path.basename(fileName, extname)}-${hash}${extname}`;
+}
+
+function getWidth(url) {
+    const widths = ImageBundler.getWidths(url);
+    // a single image can be referenced by CSS urls: use the largest variant.
+    return widths ? widths[widths.length - 1] : null;
+}
+
+function processFile(file, url, opts) {
+    return ImageBundler.process(file, {
+        width: getWidth(url),
+        format: ImageBundler.getFormat(url),
+        optimize: opts.optimizeImages,
+    });
+}
 
 function createDefaultHandler(opts) {
     if (!opts.dest) {
         return null;
     }
-    return async (file) => {
-        const fileName = path.basename(file);
+    return async (file, url = '', source) => {
+        // the source is already processed when the asset has been checked for inlining.
+        source = source || await processFile(file, url, opts);
+        const baseName = ImageBundler.getFileName(path.basename(file), getWidth(url), ImageBundler.getFormat(url));
+        const fileName = opts.hash ? getHashedName(baseName, source) : baseName;
         const distFile = path.join(opts.dest, fileName);
         if (distFile !== file) {
             await mkdir(path.dirname(distFile), { recursive: true });
-            await copyFile(file, distFile);
+            await writeFile(distFile, source);
         }
         return fileName;
     };
@@ -60,6 +86,7 @@ module.exports = postcss.plugin('postcss-copy-plugin', (opts = {}) => {
 
     return async (root, result) => {
         const promises = [];
+        const sources = {};
         root.walkDecls((decl) => {
             if (decl.value && decl.value.indexOf('url(') > -1) {
                 const urls = decl.value.match(/url\(['"]?.*?['"]?\)/ig)
@@ -72,12 +99,21 @@ module.exports = postcss.plugin('postcss-copy-plugin', (opts = {}) => {
                 promises.push(
                     ...urls.map(async (url) => {
                         const file = await resolver(url, decl);
+                        const cacheKey = file && ImageBundler.getFileName(file, getWidth(url), ImageBundler.getFormat(url));
+                        // processed assets are measured for inlining, and passed to the handler when they are too large.
+                        if (file && shouldInline(url, 0, opts.inlineLimit)) {
+                            sources[cacheKey] = sources[cacheKey] || processFile(file, url, opts);
+                        }
+                        const source = file && sources[cacheKey] ? await sources[cacheKey] : null;
+                        const dataUri = source && shouldInline(url, source.length, opts.inlineLimit) ? toDataUri(cacheKey, source) : null;
                         let replace;
                         if (!file) {
                             result.missingFiles = result.missingFiles || [];
                             result.missingFiles.push(file);
-                        } else if (cache[file]) {
-                            replace = cache[file];
+                        } else if (dataUri) {
+                            replace = dataUri;
+                        } else if (cache[cacheKey]) {
+                            replace = cache[cacheKey];
                             if (replace) {
                                 result.files = result.files || [];
                                 if (result.files.indexOf(replace) === -1) {
@@ -85,14 +121,22 @@ module.exports = postcss.plugin('postcss-copy-plugin', (opts = {}) => {
                                 }
                             }
                         } else if (handler) {
-                            replace = await handler(file);
+                            replace = await handler(file, url, source || undefined);
                             if (replace) {
                                 result.files = result.files || [];
                                 if (result.files.indexOf(replace) === -1) {
                                     result.files.push(replace);
                                 }
                             }
-                            cache[file] = replace;
+                            cache[cacheKey] = replace;
+                        }
+                        if (replace && !dataUri) {
+                            result.messages.push({
+                                type: 'asset',
+                                plugin: 'postcss-copy-plugin',
+                                file,
+                                url: replace,
+                            });
                         }
                         return {
                             url,
@@ -17,15 +17,16 @@ module.exports = postcss.plugin('postcss-dart-sass-plugin', (opts = {}) =>
                 sourcesContent: true,
             }, map),
         }));
+        const { alias, ...sassOptions } = opts;
         const options = Object.assign({
             includePaths: ['node_modules'],
-            importer: require('../sass-resolver/sass-resolver')(),
+            importer: require('../sass-resolver/sass-resolver')(alias),
             indentWidth: 4,
             omitSourceMapUrl: true,
             outputStyle: 'expanded',
             sourceMap: true,
             sourceMapContents: true,
-        }, opts, {
+        }, sassOptions, {
             data: css.css,
             file: result.opts.from,
             outFile: result.opts.to,
@@ -0,0 +1,28 @@
+/**
+ * Resolve aliased imports.
+ * Aliases are resolved by the following plugins, so targets can be NPM modules or paths without extension.
+ * @param {Alias} alias The aliases to apply.
+ * @return {Object} A Rollup plugin.
+ */
+module.exports = function(alias) {
+    return {
+        name: 'alias',
+
+        async resolveId(importee, importer) {
+            if (!alias || !alias.size || importee.indexOf('\0') === 0) {
+                return null;
+            }
+            const candidates = alias.resolve(importee);
+            if (!candidates) {
+                return null;
+            }
+            for (let i = 0; i < candidates.length; i++) {
+                const resolved = await this.resolve(candidates[i], importer, { skipSelf: true });
+                if (resolved) {
+                    return resolved;
+                }
+            }
+            return null;
+        },
+    };
+};
@@ -0,0 +1,272 @@
+/**
+ * Group the modules of a bundle analysis by NPM package.
+ * Modules which do not belong to a package are grouped by the bundle name.
+ * @param {Object} analysis The bundle analysis.
+ * @param {string} title The bundle name.
+ * @return {Object} A tree of groups and modules.
+ */
+function createTree(analysis, title) {
+    const groups = {};
+    analysis.modules.forEach((mod) => {
+        const id = mod.id.replace(/^\//, '');
+        const match = id.match(/^.*node_modules\/((?:@[^/]+\/)?[^/]+)\/(.*)$/);
+        const groupName = match ? match[1] : title;
+        const group = groups[groupName] = groups[groupName] || {
+            name: groupName,
+            size: 0,
+            origSize: 0,
+            children: [],
+        };
+        group.size += mod.size;
+        group.origSize += mod.origSize;
+        group.children.push({
+            name: match ? match[2] : id,
+            size: mod.size,
+            origSize: mod.origSize,
+        });
+    });
+
+    return {
+        name: title,
+        size: analysis.bundleSize,
+        origSize: analysis.bundleOrigSize,
+        moduleCount: analysis.moduleCount,
+        children: Object.values(groups),
+    };
+}
+
+/**
+ * Escape a string for HTML text.
+ * @param {string} str The string to escape.
+ * @return {string}
+ */
+function escapeHTML(str) {
+    return `${str}`.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Render a self-contained HTML treemap of a bundle analysis.
+ * @param {Object} analysis The bundle analysis.
+ * @param {string} title The bundle name.
+ * @return {string} The HTML document.
+ */
+module.exports = function treemap(analysis, title) {
+    // escape closing tags in the inline JSON.
+    const data = JSON.stringify(createTree(analysis, title)).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(title)} - bundle analysis</title>
+<style>
+html, body { height: 100%; margin: 0; }
+body { display: flex; flex-direction: column; font: 13px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #222; }
+header { display: flex; align-items: center; gap: 16px; padding: 8px 12px; border-bottom: 1px solid #ddd; }
+header h1 { margin: 0; font-size: 16px; }
+header .summary { flex: 1; color: #666; }
+#treemap { position: relative; flex: 1; overflow: hidden; }
+.node { position: absolute; box-sizing: border-box; overflow: hidden; border: 1px solid #fff; }
+.group { background: #eceff1; cursor: zoom-in; }
+.group > .label { height: 18px; padding: 0 4px; font-weight: bold; white-space: nowrap; text-overflow: ellipsis; overflow: hidden; }
+.module { padding: 2px 4px; white-space: nowrap; text-overflow: ellipsis; font-size: 11px; }
+#tooltip { position: fixed; display: none; padding: 6px 8px; background: rgba(0, 0, 0, 0.85); color: #fff; border-radius: 3px; pointer-events: none; white-space: nowrap; z-index: 1; }
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHTML(title)}</h1>
+<span class="summary" id="summary"></span>
+<button id="back" hidden>&larr; all packages</button>
+<label>Size <select id="metric"><option value="size">rendered</option><option value="origSize">original</option></select></label>
+</header>
+<div id="treemap"></div>
+<div id="tooltip"></div>
+<script>
+(function() {
+    var data = ${data};
+    var container = document.getElementById('treemap');
+    var tooltip = document.getElementById('tooltip');
+    var metricSelect = document.getElementById('metric');
+    var backButton = document.getElementById('back');
+    var current = null;
+
+    function format(bytes) {
+        if (bytes >= 1024 * 1024) {
+            return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+        }
+        if (bytes >= 1024) {
+            return (bytes / 1024).toFixed(1) + ' KB';
+        }
+        return bytes + ' B';
+    }
+
+    function reduction(node) {
+        return node.origSize ? Math.max(100 - (node.size / node.origSize) * 100, 0) : 0;
+    }
+
+    function worst(row, side) {
+        var sum = 0;
+        var max = 0;
+        var min = Infinity;
+        row.forEach(function(node) {
+            sum += node.area;
+            max = Math.max(max, node.area);
+            min = Math.min(min, node.area);
+        });
+        return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+    }
+
+    function placeRow(row, rect, result) {
+        var sum = row.reduce(function(acc, node) { return acc + node.area; }, 0);
+        var offset;
+        if (rect.w >= rect.h) {
+            var width = sum / rect.h;
+            offset = rect.y;
+            row.forEach(function(node) {
+                var height = node.area / width;
+                result.push({ item: node.item, x: rect.x, y: offset, w: width, h: height });
+                offset += height;
+            });
+            rect.x += width;
+            rect.w -= width;
+        } else {
+            var height = sum / rect.w;
+            offset = rect.x;
+            row.forEach(function(node) {
+                var width = node.area / height;
+                result.push({ item: node.item, x: offset, y: rect.y, w: width, h: height });
+                offset += width;
+            });
+            rect.y += height;
+            rect.h -= height;
+        }
+    }
+
+    // squarified treemap layout.
+    function layout(items, metric, rect) {
+        var total = items.reduce(function(acc, item) { return acc + item[metric]; }, 0);
+        var result = [];
+        if (!total || rect.w <= 0 || rect.h <= 0) {
+            return result;
+        }
+        var scale = (rect.w * rect.h) / total;
+        var nodes = items
+            .filter(function(item) { return item[metric] > 0; })
+            .map(function(item) { return { item: item, area: item[metric] * scale }; })
+            .sort(function(a, b) { return b.area - a.area; });
+        var row = [];
+        while (nodes.length) {
+            var side = Math.min(rect.w, rect.h);
+            if (!row.length || worst(row.concat(nodes[0]), side) <= worst(row, side)) {
+                row.push(nodes.shift());
+            } else {
+                placeRow(row, rect, result);
+                row = [];
+            }
+        }
+        if (row.length) {
+            placeRow(row, rect, result);
+        }
+        return result;
+    }
+
+    function createNode(className, box, label) {
+        var element = document.createElement('div');
+        element.className = 'node ' + className;
+        element.style.left = box.x + 'px';
+        element.style.top = box.y + 'px';
+        element.style.width = box.w + 'px';
+        element.style.height = box.h + 'px';
+        if (label && box.w > 30 && box.h > 14) {
+            var labelElement = document.createElement('div');
+            labelElement.className = 'label';
+            labelElement.textContent = label;
+            element.appendChild(labelElement);
+        }
+        return element;
+    }
+
+    function bindTooltip(element, node, parent) {
+        element.addEventListener('mousemove', function(event) {
+            event.stopPropagation();
+            tooltip.innerHTML = '';
+            [
+                (parent ? parent.name + ' / ' : '') + node.name,
+                'rendered: ' + format(node.size),
+                'original: ' + format(node.origSize),
+                'tree shaking: -' + reduction(node).toFixed(2) + '%',
+            ].forEach(function(line) {
+                var row = document.createElement('div');
+                row.textContent = line;
+                tooltip.appendChild(row);
+            });
+            tooltip.style.display = 'block';
+            tooltip.style.left = Math.min(event.clientX + 12, window.innerWidth - tooltip.offsetWidth - 4) + 'px';
+            tooltip.style.top = Math.min(event.clientY + 12, window.innerHeight - tooltip.offsetHeight - 4) + 'px';
+        });
+        element.addEventListener('mouseleave', function() {
+            tooltip.style.display = 'none';
+        });
+    }
+
+    function renderModules(group, rect, metric, parentElement, offsetX, offsetY) {
+        layout(group.children, metric, rect).forEach(function(box) {
+            var module = box.item;
+            var element = createNode('module', {
+                x: box.x - offsetX,
+                y: box.y - offsetY,
+                w: box.w,
+                h: box.h,
+            });
+            // modules with a large tree shaking reduction are green.
+            element.style.background = 'hsl(' + (200 - reduction(module) * 0.8).toFixed(0) + ', 60%, ' + (75 - Math.min(box.w * box.h / 4000, 15)).toFixed(0) + '%)';
+            if (box.w > 40 && box.h > 14) {
+                element.textContent = module.name.split('/').pop();
+            }
+            bindTooltip(element, module, group);
+            parentElement.appendChild(element);
+        });
+    }
+
+    function render() {
+        var metric = metricSelect.value;
+        var rect = { x: 0, y: 0, w: container.clientWidth, h: container.clientHeight };
+        container.innerHTML = '';
+        backButton.hidden = !current;
+        if (current) {
+            renderModules(current, rect, metric, container, 0, 0);
+            return;
+        }
+        layout(data.children, metric, rect).forEach(function(box) {
+            var group = box.item;
+            var element = createNode('group', box, group.name + ' (' + format(group[metric]) + ')');
+            element.addEventListener('click', function() {
+                current = group;
+                tooltip.style.display = 'none';
+                render();
+            });
+            bindTooltip(element, group);
+            container.appendChild(element);
+            if (box.h > 36 && box.w > 20) {
+                renderModules(group, { x: box.x, y: box.y + 18, w: box.w - 2, h: box.h - 20 }, metric, element, box.x, box.y);
+            }
+        });
+    }
+
+    document.getElementById('summary').textContent = data.moduleCount + ' modules, ' +
+        format(data.size) + ' rendered, ' + format(data.origSize) + ' original (-' + reduction(data).toFixed(2) + '% by tree shaking)';
+    metricSelect.addEventListener('change', render);
+    backButton.addEventListener('click', function() {
+        current = null;
+        render();
+    });
+    window.addEventListener('resize', render);
+    render();
+}());
+</script>
+</body>
+</html>
+`;
+};
@@ -21,7 +21,7 @@ module.exports = function(options = {}) {
         async transform(inputCode, id) {
             if (!filter(id)) return null;
 
-            const { code, map } = await babel.transformAsync(inputCode, Object.assign({
+            const { code, map, metadata } = await babel.transformAsync(inputCode, Object.assign({
                 filename: id,
             }, options, {
                 ast: false,
@@ -33,6 +33,8 @@ module.exports = function(options = {}) {
             return {
                 code,
                 map,
+                // environment variables inlined by the define plugin, checked by the persistent cache.
+                meta: metadata && metadata.env ? { env: metadata.env } : undefined,
             };
         },
     };
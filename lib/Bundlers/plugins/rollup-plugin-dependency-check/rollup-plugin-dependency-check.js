@@ -1,54 +1,212 @@
+const { existsSync, readFileSync } = require('fs');
+const { builtinModules } = require('module');
+const path = require('path');
+
+/**
+ * Find the package which contains a module.
+ * @param {string} fileName The module file.
+ * @param {Object} cache A map of directories and package data.
+ * @return {{ name: string, version: string, path: string }|null}
+ */
+function findPackage(fileName, cache) {
+    const visited = [];
+    let dir = path.dirname(fileName);
+    let pkg = null;
+    while (dir) {
+        if (dir in cache) {
+            pkg = cache[dir];
+            break;
+        }
+        visited.push(dir);
+        const packageJson = path.join(dir, 'package.json');
+        if (existsSync(packageJson)) {
+            try {
+                const json = JSON.parse(readFileSync(packageJson, 'utf8'));
+                if (json.name) {
+                    pkg = {
+                        name: json.name,
+                        version: json.version,
+                        path: dir,
+                    };
+                    break;
+                }
+            } catch (error) {
+                // ignore invalid package.json files.
+            }
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) {
+            break;
+        }
+        dir = parent;
+    }
+    visited.forEach((visitedDir) => {
+        cache[visitedDir] = pkg;
+    });
+    return pkg;
+}
+
+/**
+ * Get the package name of an import.
+ * @param {string} importee The imported module.
+ * @return {string}
+ */
+function getModuleName(importee) {
+    const split = importee.split('/');
+    if (importee[0] === '@') {
+        return `${split[0]}/${split[1]}`;
+    }
+    return split[0];
+}
+
+/**
+ * Find an installed package in the `node_modules` directories of a path and its ancestors.
+ * @param {string} name The package name.
+ * @param {string} dir The directory to start from.
+ * @param {Object} cache A map of directories and package data.
+ * @return {{ name: string, version: string, path: string }|null}
+ */
+function findInstalledPackage(name, dir, cache) {
+    while (dir) {
+        const packageJson = path.join(dir, 'node_modules', name, 'package.json');
+        if (existsSync(packageJson)) {
+            return findPackage(packageJson, cache);
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) {
+            break;
+        }
+        dir = parent;
+    }
+    return null;
+}
+
 module.exports = function dependencyCheck(project, options = {}) {
     const exclude = options.exclude || [];
+    const packagesCache = {};
+    // bundles are generated multiple times (eg. for typings and for write), warn once per build.
+    let duplicatesWarnings = [];
 
-    return {
+    const plugin = {
         name: 'rollup-plugin-dependency-check',
 
-        resolveId(importee, importer) {
-            if (!importer) {
-                return null;
-            }
+        /**
+         * The packages imported by the project sources, with their installed version and importers.
+         * @type {Object<string, { name: string, version: string, importers: Array<string> }>}
+         */
+        dependencies: {},
+
+        buildStart() {
+            duplicatesWarnings = [];
+        },
+
+        buildEnd() {
             if (!project) {
-                return null;
-            }
-            if (importee.indexOf('./') === 0 || importee.indexOf('../') === 0) {
-                return null;
-            }
-            if (importer.indexOf('/node_modules/') !== -1) {
-                return null;
-            }
-            if (importee.indexOf('\0') === 0) {
-                return null;
+                return;
             }
-            let split = importee.split('/');
-            let moduleName = split[0];
-            if (!moduleName) {
-                return null;
-            }
-            if (importee[0] === '@') {
-                moduleName += `/${split[1]}`;
-            }
-            if (exclude.indexOf(moduleName) !== -1) {
-                return null;
+            const dependencies = plugin.dependencies = {};
+            for (let id of this.getModuleIds()) {
+                if (id.indexOf('\0') === 0 || !path.isAbsolute(id)) {
+                    continue;
+                }
+                const pkg = findPackage(id, packagesCache);
+                if (!pkg || pkg.path !== project.path) {
+                    // collect imports of the project sources only.
+                    continue;
+                }
+                const info = this.getModuleInfo(id);
+                const importedIds = [
+                    ...((info && info.importedIds) || []),
+                    ...((info && info.dynamicallyImportedIds) || []),
+                ];
+                importedIds
+                    .filter((importedId) => importedId.indexOf('\0') !== 0)
+                    .forEach((importedId) => {
+                        let dependency;
+                        if (path.isAbsolute(importedId)) {
+                            dependency = findPackage(importedId, packagesCache);
+                        } else {
+                            // external module.
+                            const name = getModuleName(importedId);
+                            if (builtinModules.indexOf(name) !== -1) {
+                                return;
+                            }
+                            dependency = findInstalledPackage(name, project.path, packagesCache) || { name, version: null };
+                        }
+                        if (!dependency || dependency.path === project.path || exclude.indexOf(dependency.name) !== -1) {
+                            return;
+                        }
+                        const entry = dependencies[dependency.name] = dependencies[dependency.name] || {
+                            name: dependency.name,
+                            version: dependency.version,
+                            importers: [],
+                        };
+                        const importer = path.relative(project.path, id);
+                        if (entry.importers.indexOf(importer) === -1) {
+                            entry.importers.push(importer);
+                        }
+                    });
             }
 
-            let json = require(project.packageJson.path);
-            let projectDependencies = [
-                ...Object.keys(json.dependencies || {}),
-                ...Object.keys(json.peerDependencies || {}),
-                ...Object.keys(json.devDependencies || {}),
+            // imports are checked in the modules graph, since cached modules are not resolved again.
+            const declared = [
+                ...Object.keys(project.get('dependencies') || {}),
+                ...Object.keys(project.get('peerDependencies') || {}),
+                ...Object.keys(project.get('devDependencies') || {}),
             ];
-            if (projectDependencies.indexOf(moduleName) === -1) {
-                let warning = `dependency '${moduleName}' is not listed in ${project.packageJson.path}`;
-                let warnings = this.warnings = this.warnings || [];
-                if (warnings.indexOf(warning) === -1) {
-                    warnings.push(warning);
+            Object.keys(dependencies)
+                .filter((name) => declared.indexOf(name) === -1)
+                .forEach((name) => {
+                    this.warn({
+                        message: `dependency '${name}' is not listed in ${project.packageJson.path}`,
+                    });
+                });
+        },
+
+        generateBundle(outputOptions, bundle) {
+            const root = project ? project.path : process.cwd();
+            const copies = {};
+            Object.values(bundle)
+                .filter((chunk) => chunk.modules)
+                .forEach((chunk) => {
+                    Object.keys(chunk.modules)
+                        .filter((id) => id.indexOf('\0') !== 0 && path.isAbsolute(id))
+                        .forEach((id) => {
+                            const pkg = findPackage(id, packagesCache);
+                            if (!pkg || (project && pkg.path === project.path)) {
+                                return;
+                            }
+                            const list = copies[pkg.name] = copies[pkg.name] || {};
+                            const copy = list[pkg.path] = list[pkg.path] || Object.assign({ importers: [] }, pkg);
+                            const info = this.getModuleInfo(id);
+                            ((info && info.importers) || [])
+                                .filter((importer) => importer.indexOf(`${pkg.path}${path.sep}`) !== 0)
+                                .forEach((importer) => {
+                                    const relative = path.relative(root, importer);
+                                    if (copy.importers.indexOf(relative) === -1) {
+                                        copy.importers.push(relative);
+                                    }
+                                });
+                        });
+                });
+
+            Object.keys(copies).forEach((name) => {
+                const list = Object.values(copies[name]);
+                if (list.length < 2) {
+                    return;
+                }
+                const warning = `package '${name}' is included ${list.length} times in the bundle:\n${list.map((copy) =>
+                    `  ${copy.version} (${path.relative(root, copy.path)}) imported by ${copy.importers.join(', ') || 'unknown'}`
+                ).join('\n')}`;
+                if (duplicatesWarnings.indexOf(warning) === -1) {
+                    duplicatesWarnings.push(warning);
                     this.warn({
                         message: warning,
                     });
                 }
-            }
-            return null;
+            });
         },
     };
+
+    return plugin;
 };
@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const rollupPluginutils = require('@rollup/pluginutils');
 const StyleBundler = require('../../StyleBundler');
+const ImageBundler = require('../../ImageBundler');
 
 function normalize(str = '') {
     return str.toString()
@@ -41,16 +42,27 @@ module.exports = function(options) {
                 input: id,
                 output: output.file(path.basename(id)),
                 root,
+                alias: options.alias,
+                postcss: options.postcss,
+                optimizeImages: options.optimizeImages,
+                inlineLimit: options.inlineLimit,
                 map: false,
                 lint: false,
-                handleAssets: async (file) => {
+                handleAssets: async (file, url = '', source) => {
                     if (!file || !fs.existsSync(file)) {
                         return;
                     }
+                    const widths = ImageBundler.getWidths(url);
+                    const width = widths && widths[widths.length - 1];
+                    const format = ImageBundler.getFormat(url);
                     let assetId = this.emitFile({
                         type: 'asset',
-                        name: path.basename(file),
-                        source: fs.readFileSync(file),
+                        name: ImageBundler.getFileName(path.basename(file), width, format),
+                        source: source || await ImageBundler.process(file, {
+                            width,
+                            format,
+                            optimize: options.optimizeImages,
+                        }),
                     });
                     return `import.meta.ROLLUP_FILE_URL_${assetId}`;
                 },
@@ -1,8 +1,9 @@
-const { promises: { readFile } } = require('fs');
 const { createFilter } = require('@rollup/pluginutils');
 const path = require('path');
 const walk = require('acorn-walk');
 const MagicString = require('magic-string');
+const ImageBundler = require('../../ImageBundler');
+const { hasInlineQuery, shouldInline, toDataUri } = require('../data-uri/data-uri');
 
 const defaultInclude = [
     '**/*.svg',
@@ -28,21 +29,67 @@ function getRelativeUrlFromDocument(relativePath) {
 
 function url(options = {}) {
     const filter = createFilter(options.include || defaultInclude, options.exclude);
+    const processOptions = {
+        optimize: options.optimize,
+        quality: options.quality,
+    };
+
+    /**
+     * Emit an asset file, or inline it as data URI.
+     * @param {Object} context The plugin context.
+     * @param {string} name The asset name.
+     * @param {Buffer} source The asset contents.
+     * @param {string} reference The asset reference, which may force the inline mode.
+     * @return {string} The expression of the asset url.
+     */
+    const emitAsset = (context, name, source, reference) => {
+        if (shouldInline(reference, source.length, options.inlineLimit)) {
+            return JSON.stringify(toDataUri(name, source));
+        }
+        const asset = context.emitFile({
+            type: 'asset',
+            name,
+            source,
+        });
+        return `import.meta.ROLLUP_FILE_URL_${asset}`;
+    };
 
     return {
         name: 'url',
 
+        async resolveId(source, importer) {
+            const [request, query] = source.split('?');
+            if (!query || !(ImageBundler.getWidths(source) || ImageBundler.getFormat(source) || hasInlineQuery(source))) {
+                return null;
+            }
+            const resolved = await this.resolve(request, importer, { skipSelf: true });
+            if (!resolved || resolved.external || !filter(resolved.id)) {
+                return null;
+            }
+            return `${resolved.id}?${query}`;
+        },
+
         async load(id) {
-            if (!filter(id)) {
+            const [fileName] = id.split('?');
+            if (!filter(fileName)) {
                 return null;
             }
-            let buffer = await readFile(id);
-            let asset = this.emitFile({
-                type: 'asset',
-                name: path.basename(id),
-                source: buffer,
-            });
-            return `export default import.meta.ROLLUP_FILE_URL_${asset};`;
+            const widths = ImageBundler.getWidths(id);
+            const format = ImageBundler.getFormat(id);
+            if (!widths) {
+                const source = await ImageBundler.process(fileName, Object.assign({ format }, processOptions));
+                return `export default ${emitAsset(this, ImageBundler.getFileName(path.basename(fileName), null, format), source, id)};`;
+            }
+            // resized variants are exported as a `srcset`, while `src` is the largest one.
+            const expressions = await Promise.all(
+                widths.map(async (width) => {
+                    const source = await ImageBundler.process(fileName, Object.assign({ width, format }, processOptions));
+                    return emitAsset(this, ImageBundler.getFileName(path.basename(fileName), width, format), source, id);
+                })
+            );
+            return `export var src = ${expressions[expressions.length - 1]};
+export var srcset = [${expressions.map((expression, index) => `${expression} + ' ${widths[index]}w'`).join(', ')}].join(', ');
+export default srcset;`;
         },
 
         async transform(code, id) {
@@ -108,13 +155,10 @@ function url(options = {}) {
                     if (!resolved) {
                         return;
                     }
-                    let buffer = await readFile(resolved.id);
-                    let assetId = this.emitFile({
-                        type: 'asset',
-                        name: path.basename(resolved.id),
-                        source: buffer,
-                    });
-                    magicCode.overwrite(node.start, node.end, `import.meta.ROLLUP_FILE_URL_${assetId}`);
+                    const [fileName] = resolved.id.split('?');
+                    const format = ImageBundler.getFormat(resolved.id);
+                    const source = await ImageBundler.process(fileName, Object.assign({ format }, processOptions));
+                    magicCode.overwrite(node.start, node.end, emitAsset(this, ImageBundler.getFileName(path.basename(fileName), null, format), source, resolved.id));
                 })
             );
 
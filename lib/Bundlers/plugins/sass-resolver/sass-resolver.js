@@ -1,3 +1,4 @@
+const { existsSync } = require('fs');
 const path = require('path');
 const resolve = require('resolve');
 
@@ -44,8 +45,10 @@ function alternatives(url) {
 
 /**
  * Create a scoped SASS resolver.
+ * @param {Alias} [alias] The aliases to apply.
+ * @return {Function}
  */
-module.exports = function() {
+module.exports = function(alias) {
     const resolved = [];
     /**
      * Resolve the file path of an imported style.
@@ -58,6 +61,11 @@ module.exports = function() {
             // some modules use ~ or package: for node_modules import
             url = url.replace(/^(~|package:)/, '');
         }
+        const candidates = alias && alias.resolve(url);
+        if (candidates) {
+            // use the first candidate with an existing file.
+            url = candidates.find((candidate) => !path.isAbsolute(candidate) || alternatives(candidate).some((file) => existsSync(file))) || candidates[0];
+        }
         // generate alternatives for style starting from the module path
         // add package json check for `style` field.
         let toCheck;
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { existsSync } = require('fs');
+const path = require('path');
+const { File, Directory } = require('./File');
+
+/**
+ * Create a short hash for a string.
+ * @param {string} str The string to hash.
+ * @return {string}
+ */
+function createHash(str) {
+    return crypto.createHash('sha1').update(str).digest('hex').slice(0, 16);
+}
+
+/**
+ * Get the directory name of a cache group.
+ * @param {string} key The group key.
+ * @param {string} revision The group revision.
+ * @return {string}
+ */
+function getGroupName(key, revision) {
+    return `${createHash(key)}-${createHash(revision || '')}`;
+}
+
+/**
+ * @class Cache
+ * A persistent cache for transformed modules, shared by multiple runs of the CLI.
+ * Modules are grouped by a key which should describe the transpiling options (format, targets, Babel config)
+ * and by a revision which should describe the installed dependencies, and they are stored one per file.
+ * Rollup reuses a cached module only if its source did not change.
+ */
+class Cache extends Directory {
+    /**
+     * Create a Cache.
+     * @param {string} directory The cache directory path.
+     * @return {Cache}
+     */
+    constructor(directory) {
+        super(directory);
+        this.groups = {};
+    }
+
+    /**
+     * Load the cached modules of a group.
+     * Modules with changed transform dependencies or with missing resolved files are discarded.
+     * @param {string} key The group key.
+     * @param {string} [revision] The group revision.
+     * @return {Object<string, Object>} A map of module ids and cached modules.
+     */
+    load(key, revision) {
+        const name = getGroupName(key, revision);
+        if (this.groups[name]) {
+            return this.groups[name];
+        }
+        const modules = this.groups[name] = {};
+        const directory = this.directory(name);
+        if (!directory.exists()) {
+            return modules;
+        }
+        directory.files()
+            .filter((file) => file.extname === '.json')
+            .forEach((file) => {
+                let data;
+                try {
+                    data = file.readJson();
+                } catch (error) {
+                    // ignore corrupted entries.
+                    file.unlink();
+                    return;
+                }
+                if (!data || !data.module || !isValid(data)) {
+                    file.unlink();
+                    return;
+                }
+                modules[data.module.id] = data.module;
+            });
+        return modules;
+    }
+
+    /**
+     * Store the modules of a Rollup cache.
+     * Only new or changed modules are written, and the groups of the same key with a previous revision are removed.
+     * @param {string} key The group key.
+     * @param {Array<Object>} modules The Rollup cached modules.
+     * @param {string} [revision] The group revision.
+     * @return {void}
+     */
+    save(key, modules, revision) {
+        const name = getGroupName(key, revision);
+        const cached = this.load(key, revision);
+        const directory = this.directory(name);
+        directory.ensure();
+        this.directories()
+            .filter((group) => group.name !== name && group.name.indexOf(`${createHash(key)}-`) === 0)
+            .forEach((group) => {
+                group.unlink();
+            });
+        modules.forEach((mod) => {
+            const previous = cached[mod.id];
+            if (previous && previous.originalCode === mod.originalCode && previous.code === mod.code) {
+                return;
+            }
+            cached[mod.id] = mod;
+            // entries contain ASTs, do not indent them.
+            directory.file(`${createHash(mod.id)}.json`).write(JSON.stringify({
+                module: mod,
+                dependencies: (mod.transformDependencies || [])
+                    .filter((fileName) => existsSync(fileName))
+                    .reduce((map, fileName) => Object.assign(map, { [fileName]: new File(fileName).hash }), {}),
+            }));
+        });
+    }
+}
+
+/**
+ * Check if a cached module can be reused.
+ * @param {Object} data The cache entry.
+ * @return {boolean}
+ */
+function isValid(data) {
+    const { module: mod, dependencies = {} } = data;
+    for (let fileName in dependencies) {
+        if (!existsSync(fileName) || new File(fileName).hash !== dependencies[fileName]) {
+            return false;
+        }
+    }
+    const env = (mod.meta && mod.meta.env) || {};
+    for (let name in env) {
+        // inlined environment variables.
+        const value = Object.prototype.hasOwnProperty.call(process.env, name) ? process.env[name] : null;
+        if (value !== env[name]) {
+            return false;
+        }
+    }
+    const resolvedIds = mod.resolvedIds || {};
+    for (let source in resolvedIds) {
+        const resolved = resolvedIds[source];
+        if (resolved && !resolved.external && path.isAbsolute(resolved.id) && !existsSync(resolved.id)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+module.exports = Cache;
@@ -5,10 +5,17 @@ const TerminalRenderer = require('marked-terminal');
 const parse = require('./parse');
 const Command = require('./Command');
 const Store = require('../Store');
-const { Directory } = require('../File');
+const { Directory, Project } = require('../File');
+const Config = require('../Config');
 const Logger = require('./Logger');
 const colors = require('colors/safe');
 
+/**
+ * The prefix of plugin packages.
+ * @type {string}
+ */
+const PLUGIN_PREFIX = 'rna-plugin-';
+
 // setup a terminal renderer for markdown.
 marked.setOptions({
     // Define custom renderer
@@ -32,6 +39,9 @@ class CLI {
         this.packageName = packageName;
         this.v = packageVersion;
         this.commands = {};
+        this.bundlers = [];
+        this.runners = {};
+        this.plugins = [];
         // create a logger instance for the CLI
         this.logger = new Logger();
         // create a store instance for the CLI
@@ -64,6 +74,123 @@ class CLI {
         return this.commands[name];
     }
 
+    /**
+     * Register a Bundler for a list of file extensions.
+     * Registered bundlers have precedence over the built-in ones.
+     * A bundler can be registered with the path of its module, which is required only when a build uses it.
+     *
+     * @param {string|Array<string>} extensions File extensions handled by the bundler (eg `.svg`).
+     * @param {Function|string} BundlerClass A Bundler subclass, or the path of the module which exports it.
+     * @param {Function} [test] Check if the bundler handles a build, receiving its input, output and options.
+     * @returns {this}
+     */
+    bundler(extensions, BundlerClass, test) {
+        if (typeof BundlerClass !== 'function' && typeof BundlerClass !== 'string') {
+            throw new Error('invalid bundler: a Bundler subclass is expected');
+        }
+        [].concat(extensions).forEach((extension) => {
+            extension = extension.toLowerCase();
+            this.bundlers.unshift({
+                extension: extension[0] === '.' ? extension : `.${extension}`,
+                Bundler: BundlerClass,
+                test,
+            });
+        });
+        return this;
+    }
+
+    /**
+     * Get the registered Bundler for a build.
+     *
+     * @param {string} fileName The file which selects the bundler by extension.
+     * @param {Entry|Array<File>|Object} [input] The input of the build.
+     * @param {Entry} [output] The output of the build.
+     * @param {Object} [options] The options of the build.
+     * @returns {Function|null}
+     */
+    getBundler(fileName, input, output, options = {}) {
+        const extension = path.extname(fileName).toLowerCase();
+        const entry = this.bundlers.find((entry) => entry.extension === extension && (!entry.test || entry.test(input, output, options)));
+        if (!entry) {
+            return null;
+        }
+        if (typeof entry.Bundler === 'string') {
+            entry.Bundler = require(entry.Bundler);
+        }
+        return entry.Bundler;
+    }
+
+    /**
+     * Register a TestRunner for the `unit` command, enabled by the `--<name>` flag.
+     *
+     * @param {string} name The runner name.
+     * @param {Function} RunnerClass A TestRunner subclass.
+     * @returns {this}
+     */
+    runner(name, RunnerClass) {
+        if (typeof RunnerClass !== 'function') {
+            throw new Error(`invalid "${name}" runner: a TestRunner subclass is expected`);
+        }
+        this.runners[name] = RunnerClass;
+        return this;
+    }
+
+    /**
+     * Load the plugins listed in the Store and in the project configuration.
+     * A plugin is a module which exports a function: it receives the CLI instance, in order to register
+     * commands, bundlers and test runners, and a set of base classes to extend.
+     *
+     * @param {Project} project The current project.
+     * @returns {Array<Object>} The list of loaded plugins.
+     */
+    loadPlugins(project) {
+        const lib = {
+            get Bundler() {
+                return require('../Bundlers/Bundler');
+            },
+            get TestRunner() {
+                return require('../TestRunners/TestRunner');
+            },
+            get File() {
+                return require('../File').File;
+            },
+            get Directory() {
+                return require('../File').Directory;
+            },
+            get Project() {
+                return Project;
+            },
+        };
+        const candidates = [
+            // global plugins are installed along the CLI.
+            ...[].concat(this.store.get('plugins') || []).map((name) => ({ name, paths: [this.navigator.path] })),
+            ...[].concat(project.config.plugins).map((name) => ({ name, paths: [project.path, this.navigator.path] })),
+        ];
+        candidates.forEach(({ name, paths }) => {
+            const request = getPluginRequest(name);
+            let pluginPath;
+            try {
+                pluginPath = require.resolve(request, { paths });
+            } catch (error) {
+                this.logger.warn(`plugin ${name} not found`);
+                return;
+            }
+            if (this.plugins.some((plugin) => plugin.path === pluginPath)) {
+                return;
+            }
+            let plugin = require(pluginPath);
+            if (plugin && plugin.__esModule && plugin.default) {
+                plugin = plugin.default;
+            }
+            if (typeof plugin !== 'function') {
+                throw new Error(`invalid plugin ${name}: a function is expected`);
+            }
+            plugin(this, lib);
+            this.plugins.push({ name: request, path: pluginPath });
+        });
+        return this.plugins;
+    }
+
     /**
      * Print CLI help.
      * @param {boolean} deprecated Show deprecated commands.
@@ -79,6 +206,7 @@ class CLI {
         this.logger.newline();
         this.logger.log('   -v --version          Get CLI version.');
         this.logger.log('   --profile             Profile CLI tasks.');
+        this.logger.log('   --json                Print NDJSON events instead of human readable logs.');
         this.logger.log('   --help [--deprecated] Display CLI help.');
         this.logger.log('   <command> --help      Display a command specific help.');
         this.logger.newline();
@@ -133,18 +261,16 @@ class CLI {
      * @returns {Promise}
      */
     async start(argv) {
+        let commands = parse(argv);
+        if (commands.some((cmd) => cmd.json)) {
+            // print NDJSON events instead of human readable logs.
+            this.logger.setJSON(true);
+        }
+
         // if beta version, notify the user
         if (!this.isStableVersion()) {
             this.logger.warn('RNA CLI beta version detected');
         }
-        let commands = parse(argv);
-
-        // check if one of the given commands is a non-existing command
-        const wrongCommands = commands.filter((name) => name._ !== '_').some((command) => !(command._ in this.commands));
-        if (wrongCommands) {
-            this.help();
-            return;
-        }
 
         let update = this.checkUpdate(); // Update check.
         this.options = commands.shift();
@@ -156,20 +282,49 @@ class CLI {
             // show CLI help
             this.help(this.options['deprecated']);
             return;
-        } else if (commands.length === 1 && commands[0].help) {
+        } else if (commands.length === 1 && commands[0].help && commands[0]._ in this.commands) {
             // show command help
             await this.helpCommand(this.commands[commands[0]._]);
             return;
         } else if (commands.length) {
+            // the project is shared by commands, so its config is loaded once.
+            let project;
             for (let i = 0; i < commands.length; i++) {
                 let cmd = commands[i];
                 // execute the command
                 try {
-                    const exitCode = await this.exec(this.commands[cmd._], cmd);
+                    if (i === 0) {
+                        // register commands, bundlers and test runners of the plugins.
+                        project = new Project(process.cwd());
+                        this.loadPlugins(project);
+                        // check if one of the given commands is a non-existing command
+                        if (commands.some((command) => !(command._ in this.commands))) {
+                            this.help();
+                            return;
+                        }
+                        if (commands.length === 1 && cmd.help) {
+                            // show the help of a plugin command
+                            await this.helpCommand(this.commands[cmd._]);
+                            return;
+                        }
+                    }
+                    // merge project config with command line options
+                    const config = this.loadConfig(project);
+                    const options = config.merge(cmd._, cmd, Config.getEnv(cmd));
+                    const exitCode = await this.exec(this.commands[cmd._], options);
                     if (typeof exitCode === 'number' && exitCode > 0) {
                         process.exit(exitCode);
                     }
                 } catch (error) {
+                    if (this.logger.json) {
+                        this.logger.event('error', {
+                            command: cmd._,
+                            message: typeof error === 'string' ? error : (error && error.message),
+                            stack: error && error.stack,
+                            loc: error && error.loc,
+                        });
+                        process.exit(1);
+                    }
                     this.logger.newline();
                     if (typeof error === 'string') {
                         this.logger.error(error);
@@ -205,6 +360,16 @@ class CLI {
         }
     }
 
+    /**
+     * Load the configuration of a project.
+     *
+     * @param {Project} [project] The project. Default: the current working directory project.
+     * @returns {Config}
+     */
+    loadConfig(project = new Project(process.cwd())) {
+        return project.config;
+    }
+
     /**
      * Run a command.
      *
@@ -329,6 +494,24 @@ class CLI {
     }
 }
 
+/**
+ * Get the module to require for a plugin name.
+ * Package names without the `rna-plugin-` prefix are prefixed (eg `svg-sprite` and `@org/svg-sprite`).
+ *
+ * @param {string} name The plugin name or path.
+ * @returns {string}
+ */
+function getPluginRequest(name) {
+    if (name[0] === '.' || path.isAbsolute(name)) {
+        return name;
+    }
+    if (name[0] === '@') {
+        const [scope, packageName] = name.split('/');
+        return packageName.indexOf(PLUGIN_PREFIX) === 0 ? name : `${scope}/${PLUGIN_PREFIX}${packageName}`;
+    }
+    return name.indexOf(PLUGIN_PREFIX) === 0 ? name : `${PLUGIN_PREFIX}${name}`;
+}
+
 /**
  * Find length of longest string in list.
  *
@@ -78,6 +78,7 @@ class SpinnerLog {
  * Create a Logger helper for CLI.
  *
  * @property {boolean} isTTY
+ * @property {boolean} json Print NDJSON events instead of human readable logs.
  */
 class Logger {
     /**
@@ -86,6 +87,34 @@ class Logger {
      */
     constructor() {
         this.isTTY = process.stdout.isTTY && !process.env.CI;
+        this.json = false;
+    }
+
+    /**
+     * Enable or disable the JSON reporter.
+     * When enabled, logs are printed as `log` events and spinners are disabled.
+     * @param {boolean} enabled The reporter status.
+     * @return {void}
+     */
+    setJSON(enabled = true) {
+        this.json = enabled;
+        if (enabled) {
+            this.isTTY = false;
+        }
+    }
+
+    /**
+     * Print a structured event as a JSON line.
+     * Events are printed only when the JSON reporter is enabled.
+     * @param {string} type The event type.
+     * @param {Object} data The event data.
+     * @return {void}
+     */
+    event(type, data = {}) {
+        if (!this.json) {
+            return;
+        }
+        process.stdout.write(`${JSON.stringify(Object.assign({ type }, data))}\n`);
     }
 
     /**
@@ -94,6 +123,9 @@ class Logger {
      * @return {void}
      */
     log(...messages) {
+        if (this.json) {
+            return this.print('log', ...messages);
+        }
         if (this.currentSpinner) {
             // stop the current spinner before print new logs.
             this.currentSpinner.stop();
@@ -110,6 +142,9 @@ class Logger {
      * @return {void}
      */
     newline() {
+        if (this.json) {
+            return;
+        }
         return this.log(colors.reset(' '));
     }
 
@@ -122,6 +157,9 @@ class Logger {
      * @return {void}
      */
     info(message, extras) {
+        if (this.json) {
+            return this.print('info', message, extras);
+        }
         return this.log(colors.cyan(message), extras ? colors.gray(`(${extras})`) : '');
     }
 
@@ -134,6 +172,9 @@ class Logger {
      * @return {void}
      */
     success(message, extras) {
+        if (this.json) {
+            return this.print('success', message, extras);
+        }
         return this.log(colors.bold(colors.green(message)), extras ? colors.gray(`(${extras})`) : '');
     }
 
@@ -146,6 +187,9 @@ class Logger {
      * @return {void}
      */
     warn(message, extras) {
+        if (this.json) {
+            return this.print('warn', message, extras);
+        }
         return this.log(colors.yellow(message), extras ? colors.gray(`(${extras})`) : '');
     }
 
@@ -158,6 +202,9 @@ class Logger {
      * @return {void}
      */
     error(message, extras) {
+        if (this.json) {
+            return this.print('error', message, extras);
+        }
         return this.log(colors.red(message), extras ? colors.gray(`(${extras})`) : '');
     }
 
@@ -168,9 +215,31 @@ class Logger {
      * @return {void}
      */
     heading(message) {
+        if (this.json) {
+            return this.print('heading', message);
+        }
         return this.log(colors.bold(colors.white(message)));
     }
 
+    /**
+     * Print a log message as JSON event.
+     * @private
+     * @param {string} level The log level.
+     * @param {...*} messages A list of messages.
+     * @return {void}
+     */
+    print(level, ...messages) {
+        const message = colors.strip(messages
+            .filter((message) => message != null && message !== '')
+            .map((message) => (message instanceof Error ? message.message : `${message}`))
+            .join(' ')
+            .trim());
+        if (!message) {
+            return;
+        }
+        this.event('log', { level, message });
+    }
+
     /**
      * Start a spinner log.
      * Extra content will be gray and wrapped by parens.
@@ -0,0 +1,35 @@
+/**
+ * Convert command options back to a list of process arguments.
+ * It is the inverse of the `parse` function for a single command.
+ *
+ * @param {Object} options The command options.
+ * @param {Array<string>} exclude A list of options to skip.
+ * @return {Array<string>} A list of arguments.
+ */
+module.exports = function stringify(options, exclude = []) {
+    const argv = [];
+
+    function addOption(name, value) {
+        if (value === true) {
+            argv.push(`--${name}`);
+        } else if (value === false) {
+            argv.push(`--no-${name}`);
+        } else if (value != null) {
+            argv.push(`--${name}`, `${value}`);
+        }
+    }
+
+    Object.keys(options)
+        .filter((name) => name !== '_' && name !== 'arguments')
+        .filter((name) => !exclude.includes(name))
+        .forEach((name) => {
+            const value = options[name];
+            if (Array.isArray(value)) {
+                value.forEach((val) => addOption(name, val));
+            } else {
+                addOption(name, value);
+            }
+        });
+
+    return argv;
+};
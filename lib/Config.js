@@ -0,0 +1,182 @@
+const path = require('path');
+
+/**
+ * A list of supported config file names, in order of priority.
+ * @type {Array<string>}
+ */
+const CONFIG_FILES = ['rna.config.js', 'rna.config.json'];
+
+/**
+ * Check if a value is a plain object.
+ * @param {*} value The value to check.
+ * @return {boolean}
+ */
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Deep merge plain objects.
+ * Arrays, functions and class instances are replaced instead of merged.
+ * @param {...Object} objects The objects to merge.
+ * @return {Object} A new object.
+ */
+function mergeObjects(...objects) {
+    return objects.reduce((result, obj) => {
+        if (!isPlainObject(obj)) {
+            return result;
+        }
+        for (let key in obj) {
+            if (isPlainObject(result[key]) && isPlainObject(obj[key])) {
+                result[key] = mergeObjects(result[key], obj[key]);
+            } else if (isPlainObject(obj[key])) {
+                result[key] = mergeObjects({}, obj[key]);
+            } else {
+                result[key] = obj[key];
+            }
+        }
+        return result;
+    }, {});
+}
+
+/**
+ * @class Config
+ * A project configuration, loaded from `rna.config.js` or `rna.config.json` files.
+ *
+ * The config object can contain a section for each command, and an `env` section with
+ * per-environment overrides, also selected by the `--mode` option:
+ * ```js
+ * module.exports = {
+ *     build: { targets: 'last 2 versions' },
+ *     unit: { coverage: true },
+ *     env: {
+ *         production: {
+ *             build: { map: false },
+ *         },
+ *         staging: {
+ *             build: { minify: true, map: true },
+ *         },
+ *     },
+ * };
+ * ```
+ */
+class Config {
+    /**
+     * Get the environment name for a set of command options.
+     * It uses the `--mode` option or the `NODE_ENV` variable if set, otherwise it checks the `--production` flag.
+     * @param {Object} options The command options.
+     * @return {string}
+     */
+    static getEnv(options = {}) {
+        if (options.mode && typeof options.mode === 'string') {
+            return options.mode;
+        }
+        if (process.env.NODE_ENV) {
+            return process.env.NODE_ENV;
+        }
+        return options.production ? 'production' : 'development';
+    }
+
+    /**
+     * Load the configuration of a project.
+     * If the project is a workspace, the configuration of the monorepo root is loaded too
+     * and the workspace configuration is merged over it.
+     * @param {Project} project The project to configure.
+     * @return {Config}
+     */
+    static load(project) {
+        const configs = [];
+        let current = project;
+        while (current) {
+            const file = Config.resolveFile(current);
+            if (file) {
+                configs.unshift(Config.readFile(file, current));
+            }
+            current = current.parent;
+        }
+        return new Config(mergeObjects(...configs));
+    }
+
+    /**
+     * Find the config file of a project.
+     * @param {Directory} directory The project directory.
+     * @return {File|null}
+     */
+    static resolveFile(directory) {
+        return CONFIG_FILES
+            .map((fileName) => directory.file(fileName))
+            .find((file) => file.exists()) || null;
+    }
+
+    /**
+     * Read a config file.
+     * JavaScript config files can export a function which receives the project and returns the config object.
+     * @param {File} file The config file.
+     * @param {Project} project The project of the config file.
+     * @return {Object}
+     */
+    static readFile(file, project) {
+        if (file.extname === '.json') {
+            return file.readJson() || {};
+        }
+        delete require.cache[require.resolve(file.path)];
+        let config = require(file.path);
+        if (config && config.__esModule && config.default) {
+            config = config.default;
+        }
+        if (typeof config === 'function') {
+            config = config({ project });
+        }
+        if (!isPlainObject(config)) {
+            throw new Error(`invalid config file ${path.basename(file.path)}: an object is expected`);
+        }
+        return config;
+    }
+
+    /**
+     * Create a Config instance.
+     * @param {Object} data The config data.
+     */
+    constructor(data = {}) {
+        this.data = data;
+    }
+
+    /**
+     * The plugins to load, as package names or paths relative to the project.
+     * @type {Array<string>}
+     */
+    get plugins() {
+        return [].concat(this.data.plugins || []);
+    }
+
+    /**
+     * Get the options of a command for an environment.
+     * @param {string} command The command name.
+     * @param {string} [env] The environment name.
+     * @return {Object} A new options object.
+     */
+    get(command, env) {
+        const overrides = (env && this.data.env && this.data.env[env]) || {};
+        return mergeObjects(this.data[command], overrides[command]);
+    }
+
+    /**
+     * Merge command line options over the config of a command.
+     * The original options are still available as the non-enumerable `argv` property of the result.
+     * @param {string} command The command name.
+     * @param {Object} options The command line options.
+     * @param {string} [env] The environment name.
+     * @return {Object} A new options object.
+     */
+    merge(command, options, env) {
+        const argv = options.argv || options;
+        const result = Object.assign(this.get(command, env), argv);
+        Object.defineProperty(result, 'argv', {
+            value: argv,
+            enumerable: false,
+        });
+        return result;
+    }
+}
+
+module.exports = Config;
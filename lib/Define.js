@@ -0,0 +1,123 @@
+const { existsSync, readFileSync } = require('fs');
+const path = require('path');
+
+/**
+ * Compile-time constants to replace in the scripts.
+ * Built-in constants are:
+ * - `__DEV__`: `false` for production builds
+ * - `__VERSION__`: the version of the project
+ * - `import.meta.env.MODE`, `import.meta.env.DEV` and `import.meta.env.PROD`: the build mode
+ * - `process.env.NODE_ENV`, when the variable is set
+ *
+ * Variables declared in the `.env`, `.env.local`, `.env.<mode>` and `.env.<mode>.local` files of the project
+ * are available as `process.env.NAME` and `import.meta.env.NAME`.
+ * Other constants can be declared in the `define` option of the build configuration:
+ * ```
+ * {
+ *     __API_URL__: 'https://api.example.com',
+ *     'process.env.FEATURE_FLAGS': ['search'],
+ * }
+ * ```
+ * Values are replaced as literals, so strings do not need to be quoted.
+ *
+ * Other `process.env.NAME` references are replaced with the variables of the process environment, when set,
+ * so variables exported in the shell are inlined too.
+ */
+class Define {
+    /**
+     * Get the env files of a mode, sorted by precedence.
+     * @param {string} mode The build mode.
+     * @return {Array<string>} A list of file names.
+     */
+    static getEnvFiles(mode) {
+        return ['.env', '.env.local', `.env.${mode}`, `.env.${mode}.local`];
+    }
+
+    /**
+     * Load the variables of the env files of a project.
+     * Files of the monorepo root are loaded too, and workspace files are merged over them.
+     * Variables already set in the process environment have precedence over the files.
+     * @param {Project} project The project.
+     * @param {string} mode The build mode.
+     * @return {Object<string, string>}
+     */
+    static loadEnv(project, mode) {
+        const dotenv = require('dotenv');
+        const projects = [];
+        let current = project;
+        while (current) {
+            projects.unshift(current);
+            current = current.parent;
+        }
+
+        // the CLI loads the `.env` file of the working directory at startup: those variables are not set by the shell.
+        const cwdFile = path.join(process.cwd(), '.env');
+        const startupEnv = existsSync(cwdFile) ? dotenv.parse(readFileSync(cwdFile)) : {};
+        const env = {};
+        projects.forEach((directory) => {
+            Define.getEnvFiles(mode).forEach((fileName) => {
+                const file = directory.file(fileName);
+                if (file.exists()) {
+                    Object.assign(env, dotenv.parse(file.read()));
+                }
+            });
+        });
+        Object.keys(env).forEach((name) => {
+            if (Object.prototype.hasOwnProperty.call(process.env, name) && process.env[name] !== startupEnv[name]) {
+                env[name] = process.env[name];
+            }
+        });
+        return env;
+    }
+
+    /**
+     * Create a Define instance.
+     * @param {Project} project The project to build.
+     * @param {Object} options
+     * @param {string} [options.mode] The build mode, which selects the env files. Default: `NODE_ENV` or `production`/`development`.
+     * @param {boolean} [options.production] Production build.
+     * @param {Object<string, *>} [options.define] A map of constants and values.
+     * @return {Define}
+     */
+    constructor(project, { mode, production, define } = {}) {
+        this.mode = mode || process.env.NODE_ENV || (production ? 'production' : 'development');
+        this.definitions = {
+            '__DEV__': !production,
+            '__VERSION__': (project && project.get('version')) || '',
+            'import.meta.env.MODE': this.mode,
+            'import.meta.env.DEV': !production,
+            'import.meta.env.PROD': !!production,
+        };
+        if (process.env.NODE_ENV) {
+            this.definitions['process.env.NODE_ENV'] = process.env.NODE_ENV;
+        }
+        const env = project ? Define.loadEnv(project, this.mode) : {};
+        Object.keys(env).forEach((name) => {
+            this.definitions[`process.env.${name}`] = env[name];
+            this.definitions[`import.meta.env.${name}`] = env[name];
+        });
+        if (define && typeof define !== 'object') {
+            throw new Error('invalid "define" option: an object is expected');
+        }
+        Object.assign(this.definitions, define);
+    }
+
+    /**
+     * The variables of the process environment, which replace the `process.env` references
+     * not declared by the env files or the `define` option.
+     * @type {Object<string, string>}
+     */
+    get env() {
+        return process.env;
+    }
+
+    /**
+     * Convert constants to a plain object.
+     * @return {Object<string, *>}
+     */
+    toJSON() {
+        return this.definitions;
+    }
+}
+
+module.exports = Define;
@@ -0,0 +1,306 @@
+const { Directory } = require('./File');
+
+/**
+ * The formats of the builds for the conditions of the `exports` field.
+ * The last matching condition wins, so `browser.import` is an ES module.
+ */
+const FORMATS = {
+    import: 'esm',
+    module: 'esm',
+    require: 'cjs',
+    browser: 'umd',
+};
+
+/**
+ * Built targets: scripts in ESM and CommonJS formats.
+ */
+const SCRIPT_REGEX = /\.(js|mjs|cjs)$/;
+
+/**
+ * Wildcard targets built with preserved modules: every `.js` file of a directory.
+ */
+const PRESERVED_REGEX = /^(\.\/(?:.*\/)?)\*\.js$/;
+
+/**
+ * Conditions which do not reference a build.
+ */
+const SOURCE_CONDITIONS = ['source'];
+const TYPES_CONDITIONS = ['types', 'typings'];
+
+/**
+ * @typedef {Object} ExportsEntry
+ * @property {string} subpath The exported subpath (eg `.` or `./utils`).
+ * @property {Array<string>} conditions The conditions of the export (eg `['browser', 'import']`).
+ * @property {File|Array<File>|null} input The source file of the subpath, or the source files of a wildcard subpath.
+ * @property {File|Directory} output The file to build, or the output directory of a wildcard subpath.
+ * @property {string} format The format of the build.
+ * @property {File|null} typings The declaration file of the subpath.
+ * @property {boolean} preserveModules Wildcard subpaths are built with a file for each module.
+ */
+
+/**
+ * Flatten the targets of an export.
+ * @param {string|Array|Object} target The export target.
+ * @param {Array<string>} conditions The parent conditions.
+ * @param {Array<Object>} results The list of collected targets.
+ * @return {Array<{ conditions: Array<string>, target: string }>}
+ */
+function collectTargets(target, conditions = [], results = []) {
+    if (typeof target === 'string') {
+        results.push({ conditions, target });
+    } else if (Array.isArray(target)) {
+        // fallback targets.
+        target.forEach((fallback) => collectTargets(fallback, conditions, results));
+    } else if (target && typeof target === 'object') {
+        Object.keys(target).forEach((condition) => collectTargets(target[condition], [...conditions, condition], results));
+    }
+    return results;
+}
+
+/**
+ * Read builds from the `exports` field of a package.json, and check it.
+ * Each subpath can declare its source file with the `source` condition, while the `.` export uses the `lib` field by default:
+ * ```json
+ * {
+ *     "exports": {
+ *         ".": {
+ *             "types": "./types/index.d.ts",
+ *             "import": "./dist/esm/index.js",
+ *             "require": "./dist/cjs/index.js"
+ *         },
+ *         "./utils": {
+ *             "source": "./src/utils.js",
+ *             "import": "./dist/esm/utils.js",
+ *             "require": "./dist/cjs/utils.js"
+ *         }
+ *     }
+ * }
+ * ```
+ * Wildcard subpaths are built at once, writing a file for each module in the target directory:
+ * ```json
+ * {
+ *     "exports": {
+ *         "./components/*": {
+ *             "source": "./src/components/*.js",
+ *             "import": "./dist/components/*.js"
+ *         }
+ *     }
+ * }
+ * ```
+ */
+class Exports {
+    /**
+     * Create an `exports` map for the `main`, `module` and `types` fields of a package.
+     * The `module` field is exported with the `import` condition only when Node loads it as an ES module
+     * (a `.mjs` file or a `"type": "module"` package), otherwise with the `module` condition used by bundlers.
+     * The `default` condition targets the `main` field, or the `module` field only when Node loads it as an ES module.
+     * @param {Project} project The project.
+     * @return {Object|null} The exports map, or null if the package does not declare entry points.
+     */
+    static generate(project) {
+        const toTarget = (fileName) => `./${project.relative(project.file(fileName)).replace(/\\/g, '/')}`;
+        const main = project.get('main');
+        const module = project.get('module');
+        const types = project.get('types') || project.get('typings');
+        if (!main && !module) {
+            return null;
+        }
+        const conditions = {};
+        if (types) {
+            conditions.types = toTarget(types);
+        }
+        const esm = module && (module.endsWith('.mjs') || project.get('type') === 'module');
+        if (esm) {
+            conditions.import = toTarget(module);
+        } else if (module) {
+            conditions.module = toTarget(module);
+        }
+        if (main) {
+            conditions.require = toTarget(main);
+        }
+        // Node would load a `.js` module of a CommonJS package as CommonJS.
+        if (main || esm) {
+            conditions.default = toTarget(main || module);
+        }
+        return {
+            '.': conditions,
+            './package.json': './package.json',
+        };
+    }
+
+    /**
+     * Create an Exports instance.
+     * @param {Project} project The project.
+     * @param {string|Array|Object} [map] The exports map. Default: the `exports` field of the package.json.
+     * @return {Exports}
+     */
+    constructor(project, map = project.get('exports')) {
+        this.project = project;
+        this.map = map;
+    }
+
+    /**
+     * The exported subpaths and their targets.
+     * @type {Object<string, string|Array|Object>}
+     */
+    get subpaths() {
+        const map = this.map;
+        if (!map) {
+            return {};
+        }
+        if (typeof map === 'string' || Array.isArray(map)) {
+            return { '.': map };
+        }
+        if (Object.keys(map).some((key) => key[0] === '.')) {
+            return map;
+        }
+        return { '.': map };
+    }
+
+    /**
+     * Get the builds of the exports map.
+     * Non JavaScript targets are ignored, as wildcard targets which are not ESM or CommonJS `*.js` files of a directory.
+     * @param {File} [input] The source file of the `.` export, when it does not declare the `source` condition.
+     * @return {Array<ExportsEntry>}
+     */
+    getEntries(input) {
+        const subpaths = this.subpaths;
+        const entries = [];
+        for (let subpath in subpaths) {
+            const wildcard = subpath.includes('*');
+            const targets = collectTargets(subpaths[subpath]);
+            const findTarget = (names) => targets.find(({ conditions }) => names.includes(conditions[conditions.length - 1]));
+            const source = findTarget(SOURCE_CONDITIONS);
+            const typings = findTarget(TYPES_CONDITIONS);
+            targets
+                .filter(({ conditions, target }) => {
+                    const condition = conditions[conditions.length - 1];
+                    if (SOURCE_CONDITIONS.includes(condition) || TYPES_CONDITIONS.includes(condition)) {
+                        return false;
+                    }
+                    if (wildcard) {
+                        const format = this.getFormat(conditions, target);
+                        return PRESERVED_REGEX.test(target) && (format === 'esm' || format === 'cjs');
+                    }
+                    return !target.includes('*') && SCRIPT_REGEX.test(target);
+                })
+                .forEach(({ conditions, target }) => {
+                    const output = wildcard ?
+                        this.project.directory(target.match(PRESERVED_REGEX)[1]) :
+                        this.project.file(target);
+                    if (entries.some((entry) => entry.output.path === output.path)) {
+                        return;
+                    }
+                    let entryInput = (subpath === '.' && input) || null;
+                    if (source && wildcard) {
+                        entryInput = this.project.resolve(source.target).filter((file) => !(file instanceof Directory));
+                    } else if (source) {
+                        entryInput = this.project.file(source.target);
+                    }
+                    entries.push({
+                        subpath,
+                        conditions,
+                        input: entryInput,
+                        output,
+                        format: this.getFormat(conditions, target),
+                        // declarations of wildcard subpaths are written along the modules.
+                        typings: typings && !wildcard ? this.project.file(typings.target) : null,
+                        preserveModules: wildcard,
+                    });
+                });
+        }
+        return entries;
+    }
+
+    /**
+     * Get the format of an export.
+     * @param {Array<string>} conditions The conditions of the export.
+     * @param {string} target The target file.
+     * @return {string}
+     */
+    getFormat(conditions, target) {
+        for (let i = conditions.length - 1; i >= 0; i--) {
+            if (FORMATS[conditions[i]]) {
+                return FORMATS[conditions[i]];
+            }
+        }
+        if (target.endsWith('.mjs')) {
+            return 'esm';
+        }
+        if (target.endsWith('.cjs')) {
+            return 'cjs';
+        }
+        return this.project.get('type') === 'module' ? 'esm' : 'cjs';
+    }
+
+    /**
+     * Check the exports map, as Node and bundlers resolve it.
+     * @return {Array<string>} A list of problems.
+     */
+    validate() {
+        const problems = [];
+        const map = this.map;
+        if (!map) {
+            return ['missing "exports" field'];
+        }
+        if (typeof map === 'object' && !Array.isArray(map)) {
+            const keys = Object.keys(map);
+            const subpathKeys = keys.filter((key) => key[0] === '.');
+            if (subpathKeys.length && subpathKeys.length !== keys.length) {
+                problems.push('subpaths and conditions cannot be mixed at the root of the "exports" field');
+            }
+        }
+
+        const checkConditions = (subpath, target, parents = []) => {
+            if (Array.isArray(target)) {
+                target.forEach((fallback) => checkConditions(subpath, fallback, parents));
+                return;
+            }
+            if (!target || typeof target !== 'object') {
+                return;
+            }
+            const conditions = Object.keys(target);
+            const label = [subpath, ...parents].join(' > ');
+            if (conditions.some((condition) => condition[0] === '.')) {
+                problems.push(`export "${label}" contains a subpath in its conditions`);
+            }
+            if (conditions.includes('default') && conditions[conditions.length - 1] !== 'default') {
+                problems.push(`"default" condition of export "${label}" must be the last one`);
+            }
+            TYPES_CONDITIONS.forEach((condition) => {
+                if (conditions.includes(condition) && conditions[0] !== condition) {
+                    problems.push(`"${condition}" condition of export "${label}" must be the first one`);
+                }
+            });
+            conditions.forEach((condition) => checkConditions(subpath, target[condition], [...parents, condition]));
+        };
+
+        const subpaths = this.subpaths;
+        for (let subpath in subpaths) {
+            if (subpath !== '.' && subpath.indexOf('./') !== 0) {
+                problems.push(`subpath "${subpath}" must start with "./"`);
+            }
+            checkConditions(subpath, subpaths[subpath]);
+            collectTargets(subpaths[subpath]).forEach(({ conditions, target }) => {
+                const label = [subpath, ...conditions].join(' > ');
+                if (target.indexOf('./') !== 0) {
+                    problems.push(`target "${target}" of export "${label}" must start with "./"`);
+                    return;
+                }
+                if (target.includes('*')) {
+                    return;
+                }
+                if (!this.project.file(target).exists()) {
+                    problems.push(`missing file "${target}" for export "${label}"`);
+                }
+                if (conditions.includes('import') && target.endsWith('.js') && this.project.get('type') !== 'module') {
+                    // Node loads `.js` files as CommonJS modules outside `type: module` packages.
+                    problems.push(`target "${target}" of export "${label}" is loaded as CommonJS by Node: use the ".mjs" extension or set "type": "module"`);
+                }
+            });
+        }
+        return problems;
+    }
+}
+
+module.exports = Exports;
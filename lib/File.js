@@ -717,6 +717,20 @@ class Project extends Directory {
         return this.get('name').split('/').pop().toLowerCase();
     }
 
+    /**
+     * The project configuration, loaded from `rna.config.js` or `rna.config.json`.
+     * Workspaces inherit the configuration of the monorepo root.
+     * The configuration is loaded once per Project instance, so config functions run once.
+     * @type {Config}
+     */
+    get config() {
+        if (!this._config) {
+            const Config = require('./Config');
+            this._config = Config.load(this);
+        }
+        return this._config;
+    }
+
     /**
      * Check if project has not been created yet.
      * @type {boolean}
@@ -813,6 +827,54 @@ class Project extends Directory {
         return wss.filter((ws) => map[name].includes(ws.get('name')));
     }
 
+    /**
+     * Get Project dependents in workspaces.
+     * @param {Project} project The entry project.
+     * @return {Project[]} A list of workspaces which depend on the project.
+     */
+    getWorkspaceDependents(project) {
+        const wss = this.workspaces;
+        const map = this.workspacesDepsMap;
+        if (!wss) {
+            return [];
+        }
+        const name = project.get('name');
+        return wss.filter((ws) => (map[ws.get('name')] || []).includes(name));
+    }
+
+    /**
+     * Get the workspaces affected by Git changes since a ref.
+     * A workspace is affected if one of its files changed or if it depends on a changed workspace.
+     * @param {string} ref The Git ref to compare.
+     * @return {Project[]} A list of workspaces, in dependency order.
+     */
+    getChangedWorkspaces(ref) {
+        const wss = this.workspaces;
+        if (!wss) {
+            return [];
+        }
+        const files = this.git.getChangedFiles(ref);
+        const changed = wss.filter((ws) => {
+            const wsPath = realpathSync(ws.path);
+            return files.some((file) => file.startsWith(`${wsPath}${path.sep}`));
+        });
+        const affected = changed.reduce((list, ws) => {
+            list.push(ws, ...this.getWorkspaceDependents(ws));
+            return list;
+        }, []);
+        return wss.filter((ws) => affected.includes(ws));
+    }
+
+    /**
+     * Check if the files of the project changed since a Git ref.
+     * @param {string} ref The Git ref to compare.
+     * @return {boolean}
+     */
+    hasChangesSince(ref) {
+        const projectPath = realpathSync(this.path);
+        return this.git.getChangedFiles(ref).some((file) => file.startsWith(`${projectPath}${path.sep}`));
+    }
+
     /**
      * Get linked Project dpendencies.
      * @return {Project[]} A list of linked dependencies.
@@ -1,6 +1,6 @@
 const { existsSync } = require('fs');
 const { join } = require('path');
-const { exec, execSync } = require('./Shell');
+const { exec, execSync, execFileSync } = require('./Shell');
 
 /**
  * @class Git
@@ -177,6 +177,29 @@ class Git {
         }
     }
 
+    /**
+     * Get the list of files changed since a ref.
+     * It includes committed changes since the merge base of the ref and the current branch and uncommitted changes
+     * of tracked files, while untracked files (like build outputs which are not ignored) are excluded.
+     *
+     * @param {string} ref The Git ref to compare.
+     * @return {Array<string>} A list of absolute file paths.
+     */
+    getChangedFiles(ref) {
+        let root, base;
+        try {
+            root = execFileSync('git', ['-C', this.cwd, 'rev-parse', '--show-toplevel'], { stdio: 'pipe' }).toString().trim();
+            base = execFileSync('git', ['-C', this.cwd, 'merge-base', ref, 'HEAD'], { stdio: 'pipe' }).toString().trim();
+        } catch (err) {
+            throw new Error(`unable to find changes since "${ref}"`);
+        }
+        return execFileSync('git', ['-C', root, 'diff', '--name-only', base, '--'], { stdio: 'pipe' }).toString()
+            .split('\n')
+            .map((fileName) => fileName.trim())
+            .filter(Boolean)
+            .map((fileName) => join(root, fileName));
+    }
+
     /**
      * Check if the project has uncommitted changes.
      *
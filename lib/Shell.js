@@ -1,4 +1,4 @@
-const { spawn, execSync } = require('child_process');
+const { spawn, execSync, execFileSync } = require('child_process');
 
 /**
  * Execute command, and return result on request.
@@ -44,3 +44,4 @@ module.exports.exec = async function(bin, args, result = false) {
 };
 
 module.exports.execSync = execSync;
+module.exports.execFileSync = execFileSync;
@@ -96,7 +96,7 @@ class BrowserTestRunner extends TestRunner {
             // test results reporter to use
             // possible values: 'dots', 'progress'
             // available reporters: https://npmjs.org/browse/keyword/karma-reporter
-            reporters: ['mocha'],
+            reporters: options.silent ? [] : ['mocha'],
 
             // web server port
             port: 9876,
@@ -113,7 +113,7 @@ class BrowserTestRunner extends TestRunner {
 
             // level of logging
             // possible values: config.LOG_DISABLE || config.LOG_ERROR || config.LOG_WARN || config.LOG_INFO || config.LOG_DEBUG
-            logLevel: options.loglevel ? options.loglevel.toUpperCase() : 'INFO',
+            logLevel: options.silent ? 'DISABLE' : (options.loglevel ? options.loglevel.toUpperCase() : 'INFO'),
 
             // enable / disable watching file and executing tests whenever any file changes
             autoWatch: false,
@@ -367,6 +367,17 @@ class BrowserTestRunner extends TestRunner {
                 this.stop();
             });
 
+            server.on('spec_complete', (browser, result) => {
+                this.emit(BrowserTestRunner.TEST_EVENT, {
+                    title: result.description,
+                    suite: result.suite || [],
+                    state: (result.skipped || result.pending) ? 'skipped' : (result.success ? 'passed' : 'failed'),
+                    duration: result.time || 0,
+                    environment: browser.name,
+                    error: (result.log && result.log.length) ? result.log[0] : undefined,
+                });
+            });
+
             server.on('run_complete', (browser, result) => {
                 if (result && result.failed) {
                     failed = result.failed;
@@ -50,14 +50,14 @@ class NodeTestRunner extends TestRunner {
 
         const mocha = this.mocha = new Mocha(Object.assign({
             useInlineDiffs: true,
-        }, this.options));
+        }, this.options, this.options.silent ? { reporter: 'base' } : {}));
 
         delete require.cache[this.entryPoint.path];
         mocha.addFile(this.entryPoint.path);
 
         const result = await new Promise((resolve) => {
             delete global.__coverage__;
-            mocha.run(async (failures) => {
+            const runner = mocha.run(async (failures) => {
                 if (this.options.coverage && global.__coverage__) {
                     await this.reportCoverage(global.__coverage__, `${process.title.split(path.sep).pop()}-${process.version}`);
                     delete global.__coverage__;
@@ -65,9 +65,29 @@ class NodeTestRunner extends TestRunner {
                 resolve({
                     exitCode: failures ? 1 : 0,
                     coverage: this.coverageMap.toJSON(),
-                    failed: failures.length,
+                    failed: failures,
                 });
             });
+
+            const report = (test, state, error) => {
+                const suite = [];
+                let parent = test.parent;
+                while (parent && !parent.root) {
+                    suite.unshift(parent.title);
+                    parent = parent.parent;
+                }
+                this.emit(NodeTestRunner.TEST_EVENT, {
+                    title: test.title,
+                    suite,
+                    state,
+                    duration: test.duration || 0,
+                    environment: `node ${process.version}`,
+                    error: error ? error.message : undefined,
+                });
+            };
+            runner.on('pass', (test) => report(test, 'passed'));
+            runner.on('fail', (test, error) => report(test, 'failed', error));
+            runner.on('pending', (test) => report(test, 'skipped'));
         });
 
         if (!this.isRunning(id)) {
@@ -11,6 +11,16 @@ const { create: createReporter } = require('istanbul-reports');
  * @property {Object} coverage The coverage map result.
  */
 
+/**
+ * @typedef {Object} TestReport
+ * @property {string} title The test title.
+ * @property {Array<string>} suite The list of parent suites titles.
+ * @property {string} state The test state: passed, failed or skipped.
+ * @property {Number} duration The test duration in milliseconds.
+ * @property {string} [environment] The environment which ran the test.
+ * @property {string} [error] The failure message.
+ */
+
 /**
  * An abstract test runner.
  */
@@ -19,6 +29,7 @@ class TestRunner extends EventEmitter {
     static get PREPARE_START_EVENT() { return 'preparestart'; }
     static get PREPARE_END_EVENT() { return 'prepareend'; }
     static get END_EVENT() { return 'end'; }
+    static get TEST_EVENT() { return 'test'; }
     static get STOP_EVENT() { return 'stop'; }
 
     /**